@@ -2,26 +2,13 @@
  * v11: Reliability-first rebuild (data load, normalization, dropdown population, fare search)
  * - Auto loads data/transport.csv (preferred) or data/fare_source.tsv (fallback)
  * - Supports manual local file import (CSV/TSV) to bypass hosting/path issues
- * - Normalizes headers & place names, builds route index, and searches by date
+ * - Normalization, DB build and fare search live in core.js (loaded first, shared with cli.js)
  */
-const APP_VERSION = "v11.2-2026-02-12";
-
-const DB = {
-  meta: {
-    source: "",
-    sourceUrl: "",
-    fares: 0,
-    routes: 0,
-    places: 0,
-    updatedAt: "",
-    rawRows: 0,
-  },
-  faresRows: [],        // normalized fare rows
-  routeMap: new Map(),  // key: from||to (normalized) -> rows[]
-  places: [],           // unique places (canonical display strings)
-  aliasToCanon: new Map(), // key: normalized alias -> canonical display string
-  loadLog: [],
-};
+const APP_VERSION = "v12.12-2026-10-19";
+
+// Page-wide DB (shape: createEmptyDB() in core.js) + load log for diagnostics
+// sourceLayers: raw sheets currently merged ({ name, url, rows, priority }), aliasRows: alias sheet
+const DB = { ...createEmptyDB(), loadLog: [], sourceLayers: [], aliasRows: [] };
 
 const $ = (sel) => document.querySelector(sel);
 
@@ -30,208 +17,6 @@ function safeText(idOrEl, text){
   if (el) el.textContent = text;
 }
 
-function nowStamp(){
-  const d = new Date();
-  const s = d.toISOString().slice(0,19).replace("T"," ");
-  return s;
-}
-
-function stripBOM(s){
-  return (s ?? "").toString().replace(/^\uFEFF/, "");
-}
-
-function norm(s){
-  return (s ?? "").toString().trim()
-    .replace(/[\s\u3000]+/g,"")
-    .replace(/[‐‑–—−]/g,"-")
-    .toLowerCase();
-}
-
-// Place key: stronger than norm() (drops dots/brackets too)
-function normKey(s){
-  return norm(s)
-    .replace(/[・･]/g, "")
-    .replace(/[()（）\[\]【】]/g, "");
-}
-
-function normHeaderKey(k){
-  return stripBOM(k)
-    .replace(/[\u3000\s]+/g,"")
-    .replace(/[()（）\[\]【】]/g,"")
-    .replace(/[‐‑–—―ー]/g,"-")
-    .toLowerCase();
-}
-
-function canonicalKey(k){
-  const nk = normHeaderKey(k);
-
-  const has = (arr) => arr.some(x => nk.includes(normHeaderKey(x)));
-
-  if (has(["出発地","発地","出発","from","origin","出発場所","発駅","乗車地"])) return "from";
-  if (has(["到着地","着地","到着","to","destination","到着場所","着駅","降車地"])) return "to";
-  if (has(["運賃","金額","料金","fare","price","運賃額"])) return "fare";
-  if (has(["価格タイプ","価格ﾀｲﾌﾟ","シーズン","season","type","区分"])) return "priceType";
-
-  if (has(["搭乗期間開始","搭乗開始","boardfrom","validfrom","搭乗期間from"])) return "wholeFrom";
-  if (has(["搭乗期間終了","搭乗終了","boardto","validto","搭乗期間to"])) return "wholeTo";
-
-  // If data provides explicit valid-from/valid-to columns
-  if (has(["価格適用期間開始","適用開始","periodfrom","farefrom","価格適用開始"])) return "validFrom";
-  if (has(["価格適用期間終了","適用終了","periodto","fareto","価格適用終了"])) return "validTo";
-
-  // String range (e.g., "2025-06-01〜2025-06-30 / ...")
-  if (has(["価格適用期間","適用期間","validrange","period","range"])) return "validRange";
-
-  // Alias mapping sheet
-  if (has(["alias","別名","入力","候補","表記ゆれ","表記揺れ","synonym"])) return "alias";
-  if (has(["canonical","正規","正規名","統一名","正式名称"])) return "canonical";
-
-  // Optional
-  if (has(["根拠","備考","rule","注記","参照"])) return "rule";
-
-  return nk; // fallback
-}
-
-function normalizeRowKeys(row){
-  const out = {};
-  for (const [k,v] of Object.entries(row || {})){
-    const ck = canonicalKey(k);
-    const val = (v ?? "").toString().trim();
-    if (!(ck in out) || (out[ck] === "" && val !== "")) out[ck] = val;
-  }
-  return out;
-}
-
-// -----------------------------
-// Parsing helpers
-// -----------------------------
-function parseDateLoose(s){
-  const t = (s ?? "").toString().trim();
-  if (!t) return null;
-
-  // YYYY-MM-DD
-  let m = t.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
-  if (m) return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
-
-  // YYYY/MM/DD
-  m = t.match(/^(\d{4})\/(\d{1,2})\/(\d{1,2})$/);
-  if (m) return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
-
-  // M/D or M-D (assume current year)
-  m = t.match(/^(\d{1,2})[\/\-](\d{1,2})$/);
-  if (m) {
-    const y = new Date().getFullYear();
-    return new Date(y, Number(m[1]) - 1, Number(m[2]));
-  }
-
-  return null;
-}
-
-function ymd(d){
-  if (!d) return "";
-  const y = d.getFullYear();
-  const m = String(d.getMonth() + 1).padStart(2,"0");
-  const day = String(d.getDate()).padStart(2,"0");
-  return `${y}-${m}-${day}`;
-}
-
-function money(n){
-  if (n == null || !Number.isFinite(n)) return "-";
-  return Math.trunc(n).toLocaleString("ja-JP");
-}
-
-function parseTSV(text){
-  const lines = (text ?? "").replace(/\r/g,"").split("\n").filter(l => l.trim() !== "");
-  if (!lines.length) return [];
-  const header = lines[0].split("\t").map(h => h.trim());
-  const rows = [];
-  for (let i=1; i<lines.length; i++){
-    const cols = lines[i].split("\t");
-    const r = {};
-    for (let j=0; j<header.length; j++){
-      r[header[j]] = (cols[j] ?? "").trim();
-    }
-    rows.push(r);
-  }
-  return rows;
-}
-
-function parseCSV(text){
-  // Minimal CSV parser (handles quotes + commas). Enough for this dataset.
-  const rows = [];
-  let cur = [];
-  let cell = "";
-  let inQ = false;
-
-  const pushCell = () => { cur.push(cell); cell = ""; };
-  const pushRow  = () => { rows.push(cur); cur = []; };
-
-  for (let i=0; i<text.length; i++){
-    const ch = text[i];
-    const next = text[i+1];
-
-    if (inQ){
-      if (ch === '"' && next === '"'){ cell += '"'; i++; }
-      else if (ch === '"'){ inQ = false; }
-      else { cell += ch; }
-      continue;
-    }
-
-    if (ch === '"'){ inQ = true; continue; }
-    if (ch === ','){ pushCell(); continue; }
-    if (ch === '\n'){ pushCell(); pushRow(); continue; }
-    if (ch === '\r'){ continue; }
-
-    cell += ch;
-  }
-  if (cell.length || cur.length) { pushCell(); pushRow(); }
-
-  if (!rows.length) return [];
-  const header = rows[0].map(h => stripBOM((h ?? "").toString()).trim());
-  const out = [];
-
-  for (let i=1; i<rows.length; i++){
-    if (rows[i].every(x => (x ?? "").toString().trim() === "")) continue;
-    const obj = {};
-    for (let j=0; j<header.length; j++){
-      obj[header[j]] = (rows[i][j] ?? "").toString().trim();
-    }
-    out.push(obj);
-  }
-  return out;
-}
-
-function looksLikeHTML(text){
-  const t = (text ?? "").toString().trim().slice(0, 300).toLowerCase();
-  return t.startsWith("<!doctype") || t.startsWith("<html") || t.includes("<head") || t.includes("<body");
-}
-
-// "2025-06-01〜2025-06-30 / 2025-09-01〜2025-10-25"
-function parsePeriodRanges(periodStr){
-  const t = (periodStr ?? "").toString().trim();
-  if (!t) return [];
-
-  const parts = t.split("/").map(p => p.trim()).filter(Boolean);
-  const ranges = [];
-
-  for (const p of parts){
-    // allow YYYY-MM-DD or YYYY/MM/DD
-    const m = p.match(/(\d{4}[\/-]\d{1,2}[\/-]\d{1,2})\s*[〜～~\-–—―]\s*(\d{4}[\/-]\d{1,2}[\/-]\d{1,2})/);
-    if (!m) continue;
-    const a = parseDateLoose(m[1]);
-    const b = parseDateLoose(m[2]);
-    if (a && b) ranges.push({ from: a, to: b, raw: p });
-  }
-  return ranges;
-}
-
-function hasFareShape(rows){
-  if (!Array.isArray(rows) || rows.length === 0) return { ok:false, reason:"no rows" };
-  const n = normalizeRowKeys(rows[0]);
-  const ok = (n.from && n.to && (n.fare !== undefined));
-  return ok ? { ok:true } : { ok:false, reason:`headers=${Object.keys(rows[0] || {}).join(",")}` };
-}
-
 // -----------------------------
 // Fetch helpers
 // -----------------------------
@@ -248,10 +33,16 @@ function bustCache(url){
   }
 }
 
+// With the service worker in control (sw.js) data is revalidated there instead of cache-busted here
+function swControlled(){
+  return !!(typeof navigator !== "undefined" && navigator.serviceWorker?.controller);
+}
+
 async function fetchTextFirstOk(urls){
   let lastErr = null;
   for (const raw of urls){
-    const u = bustCache(raw);
+    const sw = swControlled();
+    const u = sw ? raw : bustCache(raw);
     try{
       const res = await fetch(u, { cache: "no-store" });
       if (!res.ok){
@@ -259,9 +50,11 @@ async function fetchTextFirstOk(urls){
         DB.loadLog.push(`NG: ${raw} (HTTP ${res.status})`);
         continue;
       }
-      const txt = await res.text();
-      DB.loadLog.push(`OK: ${raw} (${txt.length} chars)`);
-      return { url: raw, text: txt, status: res.status };
+      const { text: txt, encoding } = decodeText(new Uint8Array(await res.arrayBuffer()));
+      const data = sw ? res.headers.get("X-Fare-Data") : null;
+      DB.loadLog.push(`OK: ${raw} (${txt.length} chars, ${encoding}${data ? `, ${data}` : ""})`);
+      noteDataFreshness(raw, data, res.headers.get("X-Fare-Cached-At"));
+      return { url: raw, text: txt, status: res.status, encoding };
     } catch (e){
       lastErr = e;
       DB.loadLog.push(`NG: ${raw} (${e?.message || e})`);
@@ -271,132 +64,126 @@ async function fetchTextFirstOk(urls){
 }
 
 // -----------------------------
-// Alias handling
+// Offline (service worker)
 // -----------------------------
-function buildAliasDefaultsFromPlaces(places){
-  const m = new Map();
-  for (const p of places){
-    m.set(normKey(p), p);
-  }
+// Per remote load: oldest offline copy served (ISO time) and files that changed since they were cached
+window.__offline = { at: null, updated: [] };
 
-  for (const p of places){
-    const variants = [
-      p.replace(/(都|道|府|県)$/,""),
-      p.replace(/空港$/,""),
-    ].filter(v => v && v !== p);
-    for (const v of variants){
-      const k = normKey(v);
-      if (!m.has(k)) m.set(k, p);
-    }
-  }
+function resetDataFreshness(){
+  window.__offline = { at: null, updated: [] };
+}
 
-  const common = [
-    ["羽田","東京"],
-    ["成田","東京"],
-    ["那覇","沖縄"],
-  ];
-  for (const [alias, canon] of common){
-    if (places.includes(canon) && !m.has(normKey(alias))) m.set(normKey(alias), canon);
+function noteDataFreshness(url, status, cachedAt){
+  const o = window.__offline;
+  if (status === "offline"){
+    if (!o.at || (cachedAt && cachedAt < o.at)) o.at = cachedAt || "";
+    DB.loadLog.push(`OFFLINE: ${url} (cached ${cachedAt || "?"})`);
+  } else if (status === "updated"){
+    o.updated.push(url.split("/").pop());
   }
-  return m;
 }
 
-function resolvePlace(name){
-  const k = normKey(name);
-  if (!k) return "";
-  return DB.aliasToCanon.get(k) || (name ?? "").toString().trim();
+function registerServiceWorker(){
+  if (!("serviceWorker" in navigator) || location.protocol === "file:") return;
+  navigator.serviceWorker.register("./sw.js").catch(e => console.warn("service worker:", e));
+
+  // Back online after reading cached data: fetch again, the worker reports whether anything changed
+  window.addEventListener("online", async () => {
+    if (window.__offline.at === null || DB.meta.source.startsWith("local:")) return;
+    try{
+      await loadDBRemote();
+      const { at, updated } = window.__offline;
+      if (at !== null) return;
+      setDbLoadMsg(updated.length
+        ? `✅ オンラインに復帰し、新しいデータを読み込みました（${updated.join(", ")}）`
+        : "✅ オンラインに復帰しました（データの更新はありません）");
+    } catch (e){
+      console.error(e);
+      setDbLoadMsg("❌ DB再読み込み失敗: " + (e?.message || e));
+    }
+  });
+  window.addEventListener("offline", setDbMeta);
 }
 
 // -----------------------------
-// Core search
+// Background parsing (worker.js)
 // -----------------------------
-function inRange(d, a, b){
-  const x = d.getTime();
-  return x >= a.getTime() && x <= b.getTime();
-}
-
-function pickBest(rows, date){
-  const cands = (rows || []).filter(r => r.validFrom && r.validTo && inRange(date, r.validFrom, r.validTo));
-  if (!cands.length) return null;
-
-  // prefer narrowest valid window, then "ピーク" (business rule), then lower fare (stable tie-break)
-  cands.sort((a,b)=>{
-    const lenA = a.validTo.getTime() - a.validFrom.getTime();
-    const lenB = b.validTo.getTime() - b.validFrom.getTime();
-    if (lenA !== lenB) return lenA - lenB;
-    const peakA = (a.priceType === "ピーク") ? 0 : 1;
-    const peakB = (b.priceType === "ピーク") ? 0 : 1;
-    if (peakA !== peakB) return peakA - peakB;
-    return a.fare - b.fare;
-  });
-  return cands[0];
+// One shared worker; jobs run on the main thread instead when workers are unavailable (file://, load error)
+const FARE_WORKER_URL = "./worker.js";
+const MAIN_THREAD_OPS = {
+  parse: (args, onProgress) => parseFareRowsFromText(args.text, args.name, { onProgress }),
+  table: (args, onProgress) => parseTableText(args.text, args.name, { onProgress }),
+  build: (args, onProgress) => buildFareDBFromLayers(args.layers, args.aliasRows, { onProgress }),
+  xlsx: (args) => workbookSheets(args.bytes),
+};
+let fareWorker = null; // null: not tried yet, false: unavailable
+let fareWorkerSeq = 0;
+const fareWorkerJobs = new Map();
+
+function getFareWorker(){
+  if (fareWorker !== null) return fareWorker;
+  fareWorker = false;
+  if (typeof Worker === "undefined" || location.protocol === "file:") return fareWorker;
+  try{
+    const w = new Worker(FARE_WORKER_URL);
+    w.addEventListener("message", (e) => {
+      const { id, progress, result, error } = e.data || {};
+      const job = fareWorkerJobs.get(id);
+      if (!job) return;
+      if (progress){ job.onProgress?.(progress); return; }
+      fareWorkerJobs.delete(id);
+      if (error) job.reject(new Error(error));
+      else job.resolve(result);
+    });
+    // worker.js / core.js failed to load: finish pending jobs here and stop using the worker
+    w.addEventListener("error", (e) => {
+      DB.loadLog.push(`WARN: ${FARE_WORKER_URL} unavailable (${e?.message || "error"}), parsing on the main thread`);
+      fareWorker = false;
+      w.terminate();
+      const jobs = Array.from(fareWorkerJobs.values());
+      fareWorkerJobs.clear();
+      for (const job of jobs) job.runHere();
+    });
+    fareWorker = w;
+  } catch (e){
+    DB.loadLog.push(`WARN: ${FARE_WORKER_URL} unavailable (${e?.message || e}), parsing on the main thread`);
+  }
+  return fareWorker;
 }
 
-function findFare(date, from, to){
-  const f = resolvePlace(from);
-  const t = resolvePlace(to);
-
-  const keyFT = normKey(f) + "||" + normKey(t);
-  const keyTF = normKey(t) + "||" + normKey(f);
-
-  const listFT = DB.routeMap.get(keyFT) || [];
-  const listTF = DB.routeMap.get(keyTF) || [];
-
-  const hasAnyRoute = (listFT.length > 0) || (listTF.length > 0);
-
-  let best = pickBest(listFT, date);
-  if (best){
-    return { hit:true, row:best, from:f, to:t, tried:[`${f}→${t}`], hasAnyRoute, usedReverse:false };
-  }
+// op: "parse" | "table" ({ text, name }) | "build" ({ layers, aliasRows }) | "xlsx" ({ bytes }); same results on either thread
+function runInBackground(op, args, onProgress){
+  const here = () => MAIN_THREAD_OPS[op](args, onProgress);
+  const w = getFareWorker();
+  if (!w) return Promise.resolve().then(here);
+  return new Promise((resolve, reject) => {
+    const id = ++fareWorkerSeq;
+    const runHere = () => {
+      try{ resolve(here()); } catch (e){ reject(e); }
+    };
+    fareWorkerJobs.set(id, { resolve, reject, onProgress, runHere });
+    w.postMessage({ id, op, args });
+  });
+}
 
-  best = pickBest(listTF, date);
-  if (best){
-    // Reverse-direction fallback is allowed, but we do not display any note in the UI.
-    return { hit:true, row:best, from:f, to:t, tried:[`${f}→${t}`, `${t}→${f}`], hasAnyRoute, usedReverse:true };
-  }
+const BUILD_STAGES = { normalize: "正規化", index: "索引作成", lint: "データ検証" };
 
-  return { hit:false, row:null, from:f, to:t, tried:[`${f}→${t}`, `${t}→${f}`], hasAnyRoute };
+// Progress callback for runInBackground -> #dbLoadMsg
+function loadProgress(name){
+  return (p) => {
+    if (p.stage === "parse"){
+      setDbLoadMsg(`DB読み込み中... ${name || ""} 解析 ${p.total ? Math.floor(p.done / p.total * 100) : 0}%`);
+    } else {
+      setDbLoadMsg(`DB構築中...（${BUILD_STAGES[p.stage] || p.stage}）`);
+    }
+  };
 }
 
 // -----------------------------
-// Itinerary parsing + UI
+// Itinerary + results UI
 // -----------------------------
-function parseItineraryLines(text){
-  const lines = (text ?? "").toString().split(/\r?\n/).map(l => l.trim()).filter(Boolean);
-  const legs = [];
-  const errors = [];
-
-  for (const line of lines){
-    const m = line.match(/^([0-9]{4}[\/-][0-9]{1,2}[\/-][0-9]{1,2}|[0-9]{1,2}[\/-][0-9]{1,2})\s*(.+)$/);
-    if (!m){ errors.push(`日付が読み取れません: ${line}`); continue; }
-
-    const d = parseDateLoose(m[1]);
-    if (!d){ errors.push(`日付形式が不正: ${line}`); continue; }
-
-    const rest = m[2].trim();
-
-    // unify arrows
-    const s = rest
-      .replace(/→/g,"->")
-      .replace(/⇒/g,"->")
-      .replace(/～/g,"〜");
-
-    const m2 = s.match(/^(.+?)\s*(?:->|〜|~|-)\s*(.+)$/);
-    if (!m2){ errors.push(`出発地/到着地が読み取れません: ${line}`); continue; }
-
-    const from = m2[1].trim();
-    const to = m2[2].trim();
-
-    if (!from || !to){ errors.push(`出発地/到着地が空です: ${line}`); continue; }
-
-    legs.push({ date: d, from, to, raw: line });
-  }
-
-  return { legs, errors };
-}
-
 function setSelectLoading(){
-  const ids = ["#fromSelect","#toSelect","#via1Select","#via2Select"];
+  const ids = ["#fromSelect","#toSelect"];
   for (const id of ids){
     const sel = $(id);
     if (!sel) continue;
@@ -405,55 +192,120 @@ function setSelectLoading(){
   }
 }
 
-function renderSelectOptions(){
-  const fromSel = $("#fromSelect");
-  const toSel = $("#toSelect");
-  const via1Sel = $("#via1Select");
-  const via2Sel = $("#via2Select");
-
-  const prev = {
-    from: fromSel?.value || "",
-    to: toSel?.value || "",
-    via1: via1Sel?.value || "",
-    via2: via2Sel?.value || "",
-  };
-
-  const opts = (DB.places || []).slice().sort((a,b)=>a.localeCompare(b,"ja"));
-
-  function fill(sel, includeBlank, blankLabel){
-    if (!sel) return;
-    sel.innerHTML = "";
-    if (includeBlank){
-      const ob = document.createElement("option");
-      ob.value = "";
-      ob.textContent = blankLabel || "（未指定）";
-      sel.appendChild(ob);
-    }
-    for (const p of opts){
+// Place picker grouped by region / prefecture (placeGroups); blankLabel: leading empty option
+function fillPlaceSelect(sel, places, blankLabel){
+  if (!sel) return;
+  sel.innerHTML = "";
+  if (blankLabel){
+    const ob = document.createElement("option");
+    ob.value = "";
+    ob.textContent = blankLabel;
+    sel.appendChild(ob);
+  }
+  for (const g of placeGroups(DB, places)){
+    const og = document.createElement("optgroup");
+    og.label = g.pref ? `${g.region} / ${g.pref}` : "都道府県不明";
+    for (const p of g.places){
       const o = document.createElement("option");
       o.value = p;
       o.textContent = p;
-      sel.appendChild(o);
+      og.appendChild(o);
     }
-    sel.disabled = false;
+    sel.appendChild(og);
   }
+  sel.disabled = false;
+}
 
-  fill(fromSel, true, "（出発地を選択）");
-  fill(toSel, true, "（到着地を選択）");
-  fill(via1Sel, true, "（未指定）");
-  fill(via2Sel, true, "（未指定）");
+// Type-ahead: narrow a picker to filterPlaces(); a typed query selects the first match
+function applyPlaceFilter(selId, filterId, blankLabel){
+  const sel = $(selId);
+  if (!sel) return;
+  const prev = sel.value;
+  const query = $(filterId)?.value || "";
+  const list = filterPlaces(DB, query);
+  fillPlaceSelect(sel, list, list.length ? blankLabel : "（該当する地名がありません）");
+  sel.value = list.includes(prev) ? prev : query ? (list[0] || "") : "";
+}
+
+function renderSelectOptions(){
+  const fromSel = $("#fromSelect");
+  const toSel = $("#toSelect");
+  const opts = DB.places || [];
 
-  if (prev.from && opts.includes(prev.from)) fromSel.value = prev.from;
-  if (prev.to && opts.includes(prev.to)) toSel.value = prev.to;
-  if (prev.via1 && opts.includes(prev.via1)) via1Sel.value = prev.via1;
-  if (prev.via2 && opts.includes(prev.via2)) via2Sel.value = prev.via2;
+  applyPlaceFilter("#fromSelect", "#fromFilter", "（出発地を選択）");
+  applyPlaceFilter("#toSelect", "#toFilter", "（到着地を選択）");
 
   // convenience defaults
   if (!fromSel.value && opts.includes("東京")) fromSel.value = "東京";
   if (!toSel.value && opts.includes("沖縄")) toSel.value = "沖縄";
+
+  // fare calendar route (defaults to the form route)
+  const calFrom = $("#calFrom");
+  const calTo = $("#calTo");
+  const calPrev = { from: calFrom?.value || fromSel?.value || "", to: calTo?.value || toSel?.value || "" };
+  fillPlaceSelect(calFrom, opts);
+  fillPlaceSelect(calTo, opts);
+  if (calFrom && opts.includes(calPrev.from)) calFrom.value = calPrev.from;
+  if (calTo && opts.includes(calPrev.to)) calTo.value = calPrev.to;
+  renderFareCalendar();
+
+  renderAreaOptions();
+  renderAreaSearch();
+}
+
+function renderRouteAlternatives(){
+  const wrap = $("#routeAlt");
+  if (!wrap) return;
+
+  wrap.innerHTML = "";
+  const alt = window.__routeAlt;
+  const leg = alt ? (window.__legs || [])[alt.legIndex] : null;
+  if (!alt || !leg) return;
+
+  const head = document.createElement("div");
+  head.className = "msg";
+  if (!alt.routes.length){
+    head.textContent = `経路が見つかりません（乗継${alt.maxTransfers}回まで）: ${ymd(leg.date)} ${alt.from}→${alt.to}`;
+    wrap.appendChild(head);
+    return;
+  }
+  head.textContent = `経路候補（${ymd(leg.date)} ${alt.from}→${alt.to} / 上位${alt.routes.length}件・全${alt.searched}件）`;
+  wrap.appendChild(head);
+
+  const current = routeLabel(legStops(leg));
+  alt.routes.forEach((route, idx) => {
+    const el = document.createElement("div");
+    el.className = "legItem";
+    const hopText = route.hops.map(h => `${h.from}→${h.to} ${h.row.priceType || "-"} ${money(h.row.fare)}`).join(" / ");
+    const chosen = routeLabel(route.stops) === current;
+    el.innerHTML = `
+      <div class="meta">
+        <div class="m1">${escapeHtml(routeLabel(route.stops))}　${money(route.fare)}円</div>
+        <div class="m2">${escapeHtml(hopText)}</div>
+      </div>
+      <div class="actions">
+        ${chosen ? `<span class="pill green">選択中</span>` : `<button class="btn small" data-idx="${idx}">この経路にする</button>`}
+      </div>
+    `;
+    wrap.appendChild(el);
+  });
+
+  wrap.querySelectorAll("button").forEach(btn => {
+    btn.addEventListener("click", () => {
+      const route = alt.routes[Number(btn.getAttribute("data-idx"))];
+      const target = (window.__legs || [])[alt.legIndex];
+      if (!route || !target) return;
+      target.via = route.stops.slice(1, -1);
+      target.raw = legToLine(target);
+      renderLegs();
+      runSearch();
+    });
+  });
 }
 
 function renderLegs(){
+  renderRouteAlternatives();
+
   const wrap = $("#legsList");
   if (!wrap) return;
 
@@ -469,8 +321,10 @@ function renderLegs(){
     el.className = "legItem";
     el.innerHTML = `
       <div class="meta">
-        <div class="m1">${ymd(leg.date)}　${leg.from} → ${leg.to}</div>
-        <div class="m2">${leg.raw || ""}</div>
+        <div class="m1">${ymd(leg.date)}　${escapeHtml(legStops(leg).join(" → "))}</div>
+        <div class="m2">${escapeHtml(leg.raw)}</div>
+        ${leg.yearInferred ? yearPickerHtml(leg, idx) : ""}
+        ${legTravelersHtml(leg, idx)}
       </div>
       <div class="actions">
         <button class="btn ghost" data-act="up" data-idx="${idx}">↑</button>
@@ -481,10 +335,51 @@ function renderLegs(){
     wrap.appendChild(el);
   });
 
+  // per-leg travelers (all checked = everyone, stored as no annotation)
+  wrap.querySelectorAll("input.legPax").forEach(ch => {
+    ch.addEventListener("change", () => {
+      const idx = Number(ch.dataset.idx);
+      const leg = window.__legs[idx];
+      if (!leg) return;
+      const boxes = Array.from(wrap.querySelectorAll(`input.legPax[data-idx="${idx}"]`));
+      const names = boxes.filter(b => b.checked).map(b => b.dataset.name);
+      if (names.length === boxes.length) delete leg.travelers;
+      else leg.travelers = names;
+      leg.raw = legToLine(leg);
+      renderLegs();
+      runSearch();
+    });
+  });
+
+  // per-leg override of an inferred year
+  wrap.querySelectorAll("select.yearPick").forEach(sel => {
+    sel.addEventListener("change", () => {
+      const leg = window.__legs[Number(sel.dataset.idx)];
+      if (!leg) return;
+      // 2/29 has no date in a common year: keep the leg (and its old date) but leave it out of the search
+      const y = Number(sel.value);
+      const m = leg.date.getMonth() + 1;
+      const day = leg.date.getDate();
+      const date = makeDate(y, m, day);
+      if (date){
+        leg.date = date;
+        delete leg.dateError;
+      } else {
+        leg.dateError = { year: y, message: `${y}年${m}月${day}日は存在しない日付です` };
+      }
+      leg.yearInferred = "手動で指定";
+      leg.yearOverridden = true;
+      window.__routeAlt = null;
+      renderLegs();
+      runSearch();
+    });
+  });
+
   wrap.querySelectorAll("button").forEach(btn => {
     btn.addEventListener("click", () => {
       const act = btn.getAttribute("data-act");
       const idx = Number(btn.getAttribute("data-idx"));
+      window.__routeAlt = null;
       if (act === "del") window.__legs.splice(idx, 1);
       if (act === "up" && idx > 0){
         const t = window.__legs[idx-1];
@@ -502,6 +397,24 @@ function renderLegs(){
   });
 }
 
+// "年を推定" badge + year select for legs written as M/D (see inferYear in core.js)
+function yearPickerHtml(leg, idx){
+  const y = leg.date.getFullYear();
+  const picked = leg.dateError?.year ?? y;
+  const opts = [y - 1, y, y + 1]
+    .map(v => `<option value="${v}" ${v === picked ? "selected" : ""}>${v}年</option>`)
+    .join("");
+  return `<div class="m2 yearInferred">
+    <span class="pill amber">${leg.yearOverridden ? "年を指定" : "年を推定"}</span> ${escapeHtml(leg.yearInferred)}
+    <select class="yearPick" data-idx="${idx}" aria-label="年を変更">${opts}</select>
+  </div>${leg.dateError ? `<div class="m2"><span class="pill red">日付エラー</span> ${escapeHtml(leg.dateError.message)}（この旅程は検索しません）</div>` : ""}`;
+}
+
+// Legs that can be priced: a year override can leave a date that does not exist (see yearPickerHtml)
+function pricedLegs(){
+  return (window.__legs || []).filter(l => !l.dateError);
+}
+
 function recalcTotalsFromTable(){
   const meta = window.__resultMeta || { totalHits: 0, totalMisses: 0 };
   const checks = Array.from(document.querySelectorAll('#resultTable tbody input.rowInclude'));
@@ -521,8 +434,39 @@ function recalcTotalsFromTable(){
   }
 
   safeText("#sumFare", selectedHits ? money(sum) : "-");
+
+  // per-component sums (only when the data has component columns)
+  const picked = checks.filter(ch => ch.checked).map(ch => window.__results?.[Number(ch.dataset.idx)]?.row).filter(Boolean);
+  const hasParts = (window.__results || []).some(r => r.hit && r.row.components);
+  const kpi = $("#sumPartsKpi");
+  if (kpi) kpi.hidden = !hasParts;
+  safeText("#sumParts", hasParts && picked.length
+    ? Object.entries(sumFareParts(picked)).map(([k, v]) => `${fareComponentLabel(k)} ${money(v)}`).join(" / ")
+    : "-");
   safeText("#hitCount", meta.totalHits ? `${selectedHits}/${meta.totalHits}` : "0");
   safeText("#missCount", String(meta.totalMisses));
+
+  renderDiscounts();
+}
+
+// Itinerary-wide discounts (data/discount_rules.json): KPI, per-leg notes and the list of adjustments
+function renderDiscounts(){
+  const rules = window.__discountRules || [];
+  const kpi = $("#sumDiscountKpi");
+  if (kpi) kpi.hidden = !rules.length;
+  window.__discounts = rules.length ? applyDiscountRules(window.__results, rules) : null;
+  const d = window.__discounts;
+
+  document.querySelectorAll("#resultTable tbody .discNote").forEach(el => {
+    const adj = d?.byLeg[Number(el.dataset.idx)];
+    const fare = window.__results?.[Number(el.dataset.idx)]?.row?.fare;
+    el.textContent = adj ? `${adj.rule.label} −${money(discountAmount(adj.rule, fare))}` : "";
+  });
+
+  safeText("#sumDiscounted", d && d.undiscounted ? money(d.discounted) : "-");
+  safeText("#discountList", d?.adjustments.length
+    ? d.adjustments.map(a => `${a.rule.label}: ${a.reason} −${money(a.amount)}円`).join(" / ") + `（割引前 ${money(d.undiscounted)}円 → 割引後 ${money(d.discounted)}円）`
+    : "");
 }
 
 function renderResults(rows, misses){
@@ -535,54 +479,141 @@ function renderResults(rows, misses){
   const totalMisses = (rows || []).length - totalHits;
 
   window.__resultMeta = { totalHits, totalMisses };
+  window.__results = rows || [];
 
-  for (const r of (rows || [])){
+  (rows || []).forEach((r, idx) => {
     const tr = document.createElement("tr");
 
     const chk = r.hit
-      ? `<input type="checkbox" class="rowInclude" data-fare="${Number(r.row?.fare || 0)}" checked />`
+      ? `<input type="checkbox" class="rowInclude" data-idx="${idx}" data-fare="${Number(r.row?.fare || 0)}" ${r.leg.excluded ? "" : "checked"} />`
       : `<input type="checkbox" disabled />`;
 
     const status = r.hit
       ? `${ymd(r.row.validFrom)}〜${ymd(r.row.validTo)}`
       : (r.hasAnyRoute ? `<span class="pill amber">期間外</span>` : `<span class="pill red">未登録</span>`);
 
+    // connection breakdown (one trip, one checkbox)
+    const hopLines = (r.hops || []).map(h => {
+      const detail = h.hit
+        ? `${escapeHtml(h.row.priceType || "-")} ${money(h.row.fare)}（${ymd(h.row.validFrom)}〜${ymd(h.row.validTo)}）${h.row.days ? ` ${escapeHtml(h.row.days.raw)}: ${escapeHtml(h.dayMatch)}` : ""}${h.row.advance ? ` 事前購入${escapeHtml(h.row.advance.raw)}: ${escapeHtml(h.advanceMatch)}` : ""}`
+        : (h.hasAnyRoute ? "期間外" : "未登録");
+      return `<div class="hopLine">${escapeHtml(h.from)}→${escapeHtml(h.to)}　${detail}</div>`;
+    }).join("");
+    const via = ((r.leg.via || []).length ? `<div class="hopLine">経由: ${escapeHtml(r.leg.via.join("・"))}</div>` : "")
+      + ((r.leg.travelers || []).length ? `<div class="hopLine">搭乗者: ${escapeHtml(r.leg.travelers.join("・"))}</div>` : "");
+    const suggest = r.hit || r.hasAnyRoute ? "" : placeSuggestHtml(r.leg, idx);
+    const cands = r.hops?.length ? r.hops.map(h => candidatesHtml(h, `${h.from}→${h.to}: `)).join("") : candidatesHtml(r, "");
+
     tr.innerHTML = `
       <td class="chk">${chk}</td>
       <td>${ymd(r.leg.date)}</td>
-      <td>${r.from}</td>
-      <td>${r.to}</td>
-      <td>${r.hit ? (r.row.priceType || "-") : `<span class="pill red">未ヒット</span>`}</td>
-      <td class="num">${r.hit ? money(r.row.fare) : "-"}</td>
-      <td>${status}</td>
+      <td>${escapeHtml(r.from)}</td>
+      <td>${escapeHtml(r.to)}${via}</td>
+      <td>${r.hit ? escapeHtml(r.row.priceType || "-") + dayMatchHtml(r) : `<span class="pill red">未ヒット</span>`}</td>
+      <td class="num">${r.hit ? fareCellHtml(r.row) : "-"}<div class="discNote" data-idx="${idx}"></div></td>
+      <td>${status}${hopLines}${cands}${suggest}</td>
+      <td class="src">${r.hit ? escapeHtml(r.row.source || "-") : "-"}</td>
     `;
     tbody.appendChild(tr);
-  }
+  });
 
-  // Wire checkbox events (recalculate totals in-place)
+  // Wire checkbox events (recalculate totals in-place, remember per leg)
   tbody.querySelectorAll("input.rowInclude").forEach(ch => {
-    ch.addEventListener("change", recalcTotalsFromTable);
+    ch.addEventListener("change", () => {
+      const leg = rows[Number(ch.dataset.idx)]?.leg;
+      if (leg) leg.excluded = !ch.checked;
+      recalcTotalsFromTable();
+      renderGroupSummary();
+      saveState();
+    });
+  });
+
+  // "Did you mean" buttons: fix the leg in place (and optionally remember the spelling)
+  tbody.querySelectorAll("button[data-suggest]").forEach(btn => {
+    btn.addEventListener("click", () => {
+      applyPlaceSuggestion(rows[Number(btn.dataset.idx)]?.leg, Number(btn.dataset.stop), btn.dataset.suggest);
+    });
   });
 
   // Update totals + counts
   recalcTotalsFromTable();
+  renderGroupSummary();
 
-  // Diagnostics: misses (no candidate hints; keep it minimal)
+  // Diagnostics: misses (+ closest known places for unknown names)
   const missLines = (misses || []).map(m => {
     const reason = m.hasAnyRoute ? "期間外" : "未登録";
-    return `- ${ymd(m.leg.date)} ${m.from}→${m.to} (${reason})`;
+    const hints = m.hasAnyRoute ? [] : legStops(m.leg)
+      .filter(name => !isKnownPlace(DB, name))
+      .map(name => `    「${name}」候補: ${suggestPlaces(DB, name).map(s => `${s.canonical}(${s.reason})`).join(", ") || "なし"}`);
+    return [`- ${ymd(m.leg.date)} ${m.from}→${m.to} (${reason})`, ...hints].join("\n");
   }).join("\n");
   safeText("#diagMisses", missLines || "（未ヒットなし）");
 
-  // Diagnostics: alias sample + load log (compact)
-  const aliasSample = Array.from(DB.aliasToCanon.entries()).slice(0, 120).map(([k,v]) => `${k} => ${v}`).join("\n");
+  // Diagnostics: alias count (full list: alias manager) + load log (compact)
+  const aliasLine = DB.aliasToCanon.size ? `同義語 ${DB.aliasToCanon.size}件（一覧・編集は「同義語の管理」）` : "（aliasなし）";
   const log = DB.loadLog.slice(-30).map(s => `• ${s}`).join("\n");
-  const diag = (aliasSample ? aliasSample : "（aliasなし）") + "\n\n---- load log (last 30) ----\n" + (log || "（logなし）");
+  const diag = aliasLine + "\n\n---- load log (last 30) ----\n" + (log || "（logなし）");
   safeText("#diagAliases", diag);
 }
 
+// Which 適用曜日 / 事前購入 condition the chosen fare met ("土日祝: 祝日（海の日）", "事前購入28日前: 45日前に予約")
+function dayMatchHtml(res){
+  if (!res.hit) return "";
+  return (res.row.days ? `<div class="hopLine">${escapeHtml(res.row.days.raw)}: ${escapeHtml(res.dayMatch || "")}</div>` : "")
+    + (res.row.advance ? `<div class="hopLine">事前購入${escapeHtml(res.row.advance.raw)}: ${escapeHtml(res.advanceMatch || "")}</div>` : "");
+}
+
+// Competing applicable fares of one lookup and why the chosen one won (see rankFares in core.js)
+function candidatesHtml(res, prefix){
+  const list = res.hit ? (res.candidates || []) : [];
+  if (list.length < 2) return "";
+  const items = list.map((c, i) =>
+    `<div class="${i === 0 ? "won" : ""}">${i === 0 ? "✔" : "・"} ${escapeHtml(c.priceType || "-")}${c.days ? `［${escapeHtml(c.days.raw)}］` : ""}${c.advance ? `［事前購入${escapeHtml(c.advance.raw)}］` : ""} ${money(c.fare)}（${ymd(c.validFrom)}〜${ymd(c.validTo)}）${escapeHtml(c.source || "")}</div>`
+  ).join("");
+  return `<details class="cands"><summary>${escapeHtml(prefix)}候補${list.length}件: ${escapeHtml(res.reason)}</summary>${items}</details>`;
+}
+
+// Fare with an expandable component breakdown when the data has one
+function fareCellHtml(row){
+  if (!row.components) return money(row.fare);
+  const lines = Object.entries(row.components)
+    .map(([k, v]) => `<div>${escapeHtml(fareComponentLabel(k))} ${money(v)}</div>`)
+    .join("");
+  return `<details class="fareParts"><summary>${money(row.fare)}</summary>${lines}</details>`;
+}
+
+// Unknown place names in a missed leg -> suggestion buttons (data-stop = index in legStops())
+function placeSuggestHtml(leg, idx){
+  return legStops(leg).map((name, stop) => {
+    if (isKnownPlace(DB, name)) return "";
+    const list = suggestPlaces(DB, name);
+    const btns = list.map(s =>
+      `<button class="btn ghost small" data-suggest="${escapeHtml(s.canonical)}" data-idx="${idx}" data-stop="${stop}" title="${escapeHtml(s.reason)}（${escapeHtml(s.spelling)}）">${escapeHtml(s.canonical)}</button>`
+    ).join("");
+    return `<div class="suggest">「${escapeHtml(name)}」${list.length ? ` もしかして: ${btns}` : " 候補なし"}</div>`;
+  }).join("");
+}
+
+function applyPlaceSuggestion(leg, stop, place){
+  if (!leg || !place) return;
+  const stops = legStops(leg);
+  const typed = stops[stop];
+  if (typed === undefined) return;
+
+  if (stop === 0) leg.from = place;
+  else if (stop === stops.length - 1) leg.to = place;
+  else leg.via = leg.via.map((v, i) => i === stop - 1 ? place : v);
+  leg.raw = legToLine(leg);
+
+  if ($("#learnAlias")?.checked) addSessionAlias(typed, place);
+  window.__routeAlt = null;
+  renderLegs();
+  runSearch();
+}
+
 function runSearch(){
   const legs = window.__legs || [];
+  saveState();
 
   if (!DB.faresRows || DB.faresRows.length === 0){
     renderResults([], []);
@@ -595,208 +626,903 @@ function runSearch(){
     return;
   }
 
-  safeText("#parseMsg", "");
-
-  const results = [];
-  const misses = [];
-
-  for (const leg of legs){
-    const res = findFare(leg.date, leg.from, leg.to);
-    results.push({ ...res, leg });
-    if (!res.hit) misses.push({ ...res, leg });
-  }
+  const invalid = legs.length - pricedLegs().length;
+  safeText("#parseMsg", invalid ? `⚠ 存在しない日付の旅程 ${invalid}件は検索していません（年を選び直してください）` : "");
 
+  DB.bookedOn = currentBookingDate();
+  const { results, misses } = searchItinerary(DB, pricedLegs());
   renderResults(results, misses);
+  renderDiff();
+  renderBookingWhatIf();
 }
 
 // -----------------------------
-// DB build
+// Booking date (事前購入 / advance-purchase fares)
 // -----------------------------
-function resetDB(){
-  DB.faresRows = [];
-  DB.routeMap = new Map();
-  DB.places = [];
-  DB.aliasToCanon = new Map();
-  DB.meta = {
-    source: "",
-    sourceUrl: "",
-    fares: 0,
-    routes: 0,
-    places: 0,
-    updatedAt: "",
-    rawRows: 0,
-  };
+// #bookingDate blank: book today. The what-if panel prices the itinerary for another booking date.
+function currentBookingDate(){
+  return parseDateLoose($("#bookingDate")?.value || "") || todayDate();
 }
 
-function setDbMeta(){
-  const m = DB.meta;
-  const el = $("#dbMeta");
-  if (!el) return;
-
-  if (!m.source){
-    el.textContent = "-";
+function renderBookingWhatIf(){
+  const tbody = $("#whatIfTable tbody");
+  if (!tbody) return;
+  tbody.innerHTML = "";
+  const alt = parseDateLoose($("#whatIfDate")?.value || "");
+  const legs = pricedLegs();
+  if (!alt || !legs.length || !DB.faresRows.length){
+    safeText("#whatIfMsg", "比較する予約日を選ぶと、予約日による合計の違いを表示します。");
     return;
   }
 
-  el.textContent = `DB: ${m.source} / routes=${m.routes} / fares=${m.fares} / places=${m.places} / updated=${m.updatedAt}`;
+  const booked = DB.bookedOn;
+  const cmp = compareBookingDates(DB, legs, booked, alt);
+  const cell = (x) => x.hit
+    ? `${money(x.row.fare)}（${escapeHtml(x.row.priceType || "-")}${x.row.advance ? ` ${escapeHtml(x.row.advance.raw)}` : ""}）`
+    : `<span class="pill amber">${x.hasAnyRoute ? "期間外" : "未登録"}</span>`;
+  for (const r of cmp.rows){
+    const tr = document.createElement("tr");
+    if (r.leg.excluded) tr.className = "excluded";
+    tr.innerHTML = `
+      <td>${ymd(r.leg.date)}</td>
+      <td>${escapeHtml(routeLabel(legStops(r.leg)))}</td>
+      <td class="num">${cell(r.before)}</td>
+      <td class="num">${cell(r.after)}</td>
+      <td class="num">${signedMoney(r.delta)}</td>
+    `;
+    tbody.appendChild(tr);
+  }
+  const tr = document.createElement("tr");
+  tr.innerHTML = `
+    <td colspan="2"><b>合計（対象・ヒット分）</b></td>
+    <td class="num"><b>${money(cmp.total)}</b></td>
+    <td class="num"><b>${money(cmp.altTotal)}</b></td>
+    <td class="num"><b>${signedMoney(cmp.altTotal - cmp.total)}</b></td>
+  `;
+  tbody.appendChild(tr);
+
+  const d = cmp.altTotal - cmp.total;
+  safeText("#whatIfMsg", `${ymd(booked)} に予約 → ${ymd(alt)} に予約: ${d === 0 ? "合計は変わりません" : `合計 ${signedMoney(d)}円`}`);
 }
 
-function setDbLoadMsg(msg){
-  safeText("#dbLoadMsg", msg || "");
-}
+// -----------------------------
+// Passengers (UI)
+// -----------------------------
+// Counts per category + optional names (#paxNames). Legs may name their travelers: （搭乗者:田中・佐藤）
+const PASSENGER_RULES_CONFIG = "data/passenger_rules.json";
+window.__paxRules = PASSENGER_RULES_DEFAULT;
 
-function parseFareRowsFromText(text, hintedName){
-  // decide CSV/TSV
-  const name = (hintedName || "").toLowerCase();
-  const isTSV = name.endsWith(".tsv") || (!name.endsWith(".csv") && (text.includes("\t") && !text.includes(",")));
-  const rows = isTSV ? parseTSV(text) : parseCSV(text);
-  const shape = hasFareShape(rows);
-  if (!shape.ok){
-    throw new Error(`データ形式が不正です（出発地/到着地/運賃が見つかりません）。${shape.reason ? shape.reason : ""}`);
-  }
-  return { rows, format: isTSV ? "tsv" : "csv" };
+function paxInputId(type){
+  return "#pax" + type[0].toUpperCase() + type.slice(1);
 }
 
-function shiftYear(d, plus){
-  const x = new Date(d);
-  x.setFullYear(x.getFullYear() + plus);
-  return x;
+function paxCount(type){
+  const v = Number($(paxInputId(type))?.value);
+  if (Number.isInteger(v) && v >= 0) return v;
+  return type === "adult" ? 1 : 0;
 }
 
-// Align year for cross-year boarding windows
-function alignToWholeRange(pFrom, pTo, wholeFrom, wholeTo){
-  let from = pFrom;
-  let to = pTo;
-  if (!(from instanceof Date) || !(to instanceof Date)) return null;
-
-  if (wholeFrom instanceof Date && wholeTo instanceof Date){
-    const crosses = wholeTo.getFullYear() > wholeFrom.getFullYear();
-    if (crosses){
-      const startY = wholeFrom.getFullYear();
-      const startM = wholeFrom.getMonth();
+function currentRoster(){
+  const { travelers, errors } = parseRosterLines($("#paxNames")?.value || "");
+  const counts = Object.fromEntries(PASSENGER_TYPES.map(t => [t.key, paxCount(t.key)]));
+  return { roster: buildRoster(counts, travelers), named: travelers.length > 0, errors };
+}
 
-      // Common: Jan-Mar written with startY; shift to +1 year
-      if (from.getFullYear() === startY && from.getMonth() < startM) from = shiftYear(from, +1);
-      if (to.getFullYear() === startY && to.getMonth() < startM) to = shiftYear(to, +1);
+async function loadPassengerRules(){
+  let got;
+  try{
+    got = await fetchTextFirstOk(remoteUrls(PASSENGER_RULES_CONFIG));
+  } catch {
+    return; // not deployed: default rates
+  }
+  if (looksLikeHTML(got.text)) return;
+  try{
+    window.__paxRules = normalizePassengerRules(JSON.parse(stripBOM(got.text)));
+    DB.loadLog.push(`PAX: ${PASSENGER_RULES_CONFIG} rates=${JSON.stringify(window.__paxRules.rates)} unit=${window.__paxRules.unit}`);
+  } catch (e){
+    DB.loadLog.push(`WARN: ${PASSENGER_RULES_CONFIG} ignored: ${e?.message || e}`);
+  }
+}
 
-      if (to < wholeFrom){
-        from = shiftYear(from, +1);
-        to = shiftYear(to, +1);
-      }
-    }
+// Checkboxes per named traveler on a leg (only when names are given)
+function legTravelersHtml(leg, idx){
+  const { roster, named } = currentRoster();
+  if (!named || roster.length < 2) return "";
+  const on = (name) => !(leg.travelers || []).length || leg.travelers.includes(name);
+  return `<div class="m2 legPaxRow">搭乗者: ${roster.map(p =>
+    `<label><input type="checkbox" class="legPax" data-idx="${idx}" data-name="${escapeHtml(p.name)}" ${on(p.name) ? "checked" : ""} /> ${escapeHtml(p.name)}</label>`
+  ).join("")}</div>`;
+}
 
-    // clamp
-    const vf = new Date(Math.max(from.getTime(), wholeFrom.getTime()));
-    const vt = new Date(Math.min(to.getTime(), wholeTo.getTime()));
-    if (vf > vt) return null;
-    return { from: vf, to: vt };
+function renderGroupSummary(){
+  const el = $("#groupSummary");
+  if (!el) return;
+  const results = window.__results || [];
+  const { roster, errors } = currentRoster();
+  const assigned = results.some(r => (r.leg.travelers || []).length);
+  safeText("#paxMsg", errors.join(" / "));
+  if (roster.length < 2 && !assigned){
+    el.innerHTML = "";
+    return;
   }
 
-  return { from, to };
+  const g = groupTotals(results, roster, window.__paxRules, window.__discounts);
+  const rows = g.travelers.map(p => `
+      <tr><td>${escapeHtml(p.name)}</td><td>${escapeHtml(passengerLabel(p.type))}</td><td class="num">${p.legs}</td><td class="num">${money(p.total)}</td></tr>`).join("");
+  const types = Object.entries(g.byType)
+    .map(([k, b]) => `${passengerLabel(k)} ${b.count}名 ${money(b.total)}円`)
+    .join(" / ");
+  el.innerHTML = `
+    <table class="tbl">
+      <thead><tr><th>搭乗者</th><th>区分</th><th class="num">旅程数</th><th class="num">個人合計</th></tr></thead>
+      <tbody>${rows}</tbody>
+      <tfoot><tr><td colspan="3">グループ合計（${roster.length}名）</td><td class="num">${money(g.total)}</td></tr></tfoot>
+    </table>
+    <div class="msg">${types}${g.unknown.length ? ` / ⚠ 名簿にない搭乗者: ${escapeHtml(g.unknown.join("・"))}（計上していません）` : ""}</div>`;
 }
 
-function buildDBFromRows(fareRows, sourceName, sourceUrl, aliasRows){
-  resetDB();
-
-  const fares = [];
-  const placesSet = new Set();
-  const seen = new Set();
+// -----------------------------
+// Discount rules (UI)
+// -----------------------------
+const DISCOUNT_RULES_CONFIG = "data/discount_rules.json";
+window.__discountRules = [];
 
-  const keyOf = (from,to,ptype,fromD,toD) => `${from}||${to}||${ptype}||${ymd(fromD)}||${ymd(toD)}`;
+async function loadDiscountRules(){
+  let got;
+  try{
+    got = await fetchTextFirstOk(remoteUrls(DISCOUNT_RULES_CONFIG));
+  } catch {
+    return; // not deployed: no discounts
+  }
+  if (looksLikeHTML(got.text)) return;
+  try{
+    const { rules, errors } = normalizeDiscountRules(JSON.parse(stripBOM(got.text)));
+    window.__discountRules = rules;
+    DB.loadLog.push(`DISCOUNT: ${DISCOUNT_RULES_CONFIG} rules=${rules.map(r => r.id).join(",") || "-"}`);
+    for (const e of errors) DB.loadLog.push(`WARN: ${DISCOUNT_RULES_CONFIG} ${e}`);
+  } catch (e){
+    DB.loadLog.push(`WARN: ${DISCOUNT_RULES_CONFIG} ignored: ${e?.message || e}`);
+  }
+}
 
-  for (const r of fareRows){
-    const rr = normalizeRowKeys(r);
+// -----------------------------
+// Fare calendar (UI)
+// -----------------------------
+// #calMonth holds "YYYY-MM"; empty -> this month, or the first month of the data when today is outside it
+function calendarMonth(){
+  const m = ($("#calMonth")?.value || "").match(/^(\d{4})-(\d{2})$/);
+  if (m) return { year: Number(m[1]), month: Number(m[2]) };
+  const cov = fareCoverage(DB);
+  const today = new Date();
+  const base = (!cov || inRange(today, cov.from, cov.to)) ? today : cov.from;
+  return { year: base.getFullYear(), month: base.getMonth() + 1 };
+}
 
-    const fromRaw = (rr.from ?? "").toString().trim();
-    const toRaw = (rr.to ?? "").toString().trim();
-    if (!fromRaw || !toRaw) continue;
+function shiftCalendarMonth(n){
+  const { year, month } = calendarMonth();
+  const d = new Date(year, month - 1 + n, 1);
+  const el = $("#calMonth");
+  if (el) el.value = ymd(d).slice(0, 7);
+  renderFareCalendar();
+}
 
-    const priceType = ((rr.priceType ?? "").toString().trim() || "通常");
-    const fare = parseInt(((rr.fare ?? "0").toString()).replace(/[^0-9-]/g,""), 10);
-    const fareNum = Number.isFinite(fare) ? fare : 0;
+function renderFareCalendar(){
+  const grid = $("#calGrid");
+  if (!grid) return;
+  grid.innerHTML = "";
+  safeText("#calBands", "");
 
-    const wholeFrom = parseDateLoose(rr.wholeFrom);
-    const wholeTo = parseDateLoose(rr.wholeTo);
+  const from = $("#calFrom")?.value || "";
+  const to = $("#calTo")?.value || "";
+  if (!from || !to || !DB.faresRows.length){
+    safeText("#calMsg", "路線を選ぶと日別の運賃を表示します。");
+    return;
+  }
+  if (resolvePlace(DB, from) === resolvePlace(DB, to)){
+    safeText("#calMsg", "出発地と到着地が同じです。");
+    return;
+  }
 
-    // periods
-    let periods = [];
+  const { year, month } = calendarMonth();
+  const el = $("#calMonth");
+  if (el && !el.value) el.value = `${year}-${String(month).padStart(2, "0")}`;
 
-    // 1) explicit from/to columns
-    const vf = parseDateLoose(rr.validFrom);
-    const vt = parseDateLoose(rr.validTo);
-    if (vf && vt) periods.push({ from: vf, to: vt, raw: `${rr.validFrom}〜${rr.validTo}` });
+  const cal = fareCalendar(DB, from, to, year, month);
+  window.__calendar = cal;
+  if (!cal.hasAnyRoute){
+    safeText("#calMsg", `⚠ ${cal.from}→${cal.to} の直行運賃はデータにありません（乗継はフォームの「乗継」で検索できます）。`);
+    return;
+  }
 
-    // 2) string range column
-    if (!periods.length){
-      periods = parsePeriodRanges(rr.validRange);
-    }
+  const hits = cal.days.filter(x => x.hit).length;
+  safeText("#calMsg", hits
+    ? `${cal.from}→${cal.to} ${year}年${month}月：最安 ${money(cal.minFare)}円 / 最高 ${money(cal.maxFare)}円（運賃あり ${hits}/${cal.days.length}日）`
+    : `${cal.from}→${cal.to} ${year}年${month}月：この月は運賃の適用期間外です。`);
+
+  const head = WEEKDAYS_JA.split("").map(w => `<div class="dow">${w}</div>`).join("");
+  const pad = "<div></div>".repeat(cal.days[0].date.getDay());
+  const cells = cal.days.map(x => {
+    const hol = holidayName(x.date);
+    const cls = ["calDay", x.hit ? "" : "none", x.cheapest ? "cheap" : "", hol || x.date.getDay() === 0 ? "hol" : ""].filter(Boolean).join(" ");
+    const body = x.hit
+      ? `<div class="f">${money(x.row.fare)}</div><div class="t">${escapeHtml(x.row.priceType || "-")}${x.row.days ? `（${escapeHtml(x.row.days.raw)}）` : ""}</div>`
+      : `<div class="t">運賃なし</div>`;
+    return `<button class="${cls}" data-date="${ymd(x.date)}" title="${ymd(x.date)}${hol ? `（${hol}）` : ""} を旅程に追加"><div class="d">${x.date.getDate()}</div>${body}</button>`;
+  }).join("");
+  grid.innerHTML = head + pad + cells;
+
+  safeText("#calBands", cal.bands
+    .map(b => `${ymd(b.from).slice(5)}〜${ymd(b.to).slice(5)} ${b.hit ? `${b.priceType} ${money(b.fare)}円` : "運賃なし"}`)
+    .join(" / "));
+
+  grid.querySelectorAll("button.calDay").forEach(btn => {
+    btn.addEventListener("click", () => {
+      const leg = pushLeg(parseDateLoose(btn.dataset.date), cal.from, cal.to);
+      safeText("#calMsg", `旅程に追加しました：${leg.raw}`);
+    });
+  });
+}
 
-    // 3) fallback: use whole boarding range if no specific periods
-    if (!periods.length && wholeFrom && wholeTo){
-      periods = [{ from: wholeFrom, to: wholeTo, raw: `${ymd(wholeFrom)}〜${ymd(wholeTo)}` }];
-    }
+// Direct leg from a picker (calendar day / area result) -> itinerary, then search
+function pushLeg(date, from, to){
+  const leg = { date, from, to, via: [] };
+  leg.raw = legToLine(leg);
+  window.__legs.push(leg);
+  window.__routeAlt = null;
+  renderLegs();
+  runSearch();
+  return leg;
+}
 
-    for (const p of periods){
-      const aligned = alignToWholeRange(p.from, p.to, wholeFrom, wholeTo);
-      if (!aligned) continue;
-
-      const uniq = keyOf(fromRaw, toRaw, priceType, aligned.from, aligned.to);
-      if (seen.has(uniq)) continue;
-      seen.add(uniq);
-
-      fares.push({
-        from: fromRaw,
-        to: toRaw,
-        priceType,
-        fare: fareNum,
-        validFrom: aligned.from,
-        validTo: aligned.to,
-        source: sourceName,
-      });
-
-      placesSet.add(fromRaw);
-      placesSet.add(toRaw);
-    }
+// -----------------------------
+// Area search ("cheapest to anywhere in 沖縄県")
+// -----------------------------
+// Regions ("全域") and the prefectures that have places, in JIS order
+function renderAreaOptions(){
+  const sel = $("#areaSelect");
+  const fromSel = $("#areaFrom");
+  const opts = DB.places || [];
+  const prevFrom = fromSel?.value || $("#fromSelect")?.value || "";
+  fillPlaceSelect(fromSel, opts);
+  if (fromSel && opts.includes(prevFrom)) fromSel.value = prevFrom;
+  if (!sel) return;
+
+  const prev = sel.value || DB.placePrefs?.get($("#toSelect")?.value || "") || "";
+  const groups = placeGroups(DB).filter(g => g.pref);
+  sel.innerHTML = REGIONS
+    .map(r => {
+      const prefs = groups.filter(g => g.region === r.name);
+      if (!prefs.length) return "";
+      const items = prefs.map(g => `<option value="${escapeHtml(g.pref)}">${escapeHtml(g.pref)}（${g.places.length}）</option>`);
+      if (prefs.length > 1) items.unshift(`<option value="${escapeHtml(r.name)}">${escapeHtml(r.name)} 全域</option>`);
+      return `<optgroup label="${escapeHtml(r.name)}">${items.join("")}</optgroup>`;
+    })
+    .join("") + groups.filter(g => !regionOf(g.pref)).map(g => `<option value="${escapeHtml(g.pref)}">${escapeHtml(g.pref)}（${g.places.length}）</option>`).join("");
+  if (prev) sel.value = prev;
+  if (!sel.value && sel.options?.length) sel.selectedIndex = 0;
+  sel.disabled = !groups.length;
+
+  const d = $("#areaDate");
+  if (d && !d.value) d.value = $("#legDate")?.value || ymd(new Date());
+}
+
+function renderAreaSearch(){
+  const wrap = $("#areaWrap");
+  const tbody = $("#areaTable tbody");
+  if (!wrap || !tbody) return;
+  wrap.hidden = true;
+  tbody.innerHTML = "";
+  window.__areaSearch = null;
+
+  const from = $("#areaFrom")?.value || "";
+  const area = $("#areaSelect")?.value || "";
+  const date = parseDateLoose($("#areaDate")?.value || "");
+  if (!DB.placePrefs?.size){
+    safeText("#areaMsg", "運賃データに都道府県の列（到着地_都道府県 など）がないため、エリア検索は使えません。");
+    return;
+  }
+  if (!from || !area || !date){
+    safeText("#areaMsg", "出発地・エリア・日付を選ぶと、エリア内の到着地を運賃の安い順に表示します。");
+    return;
   }
 
-  const places = Array.from(placesSet).sort((a,b)=>a.localeCompare(b,"ja"));
-  const aliasToCanon = buildAliasDefaultsFromPlaces(places);
+  const res = cheapestToArea(DB, date, from, area);
+  window.__areaSearch = { ...res, date };
+  if (!res.places.length){
+    safeText("#areaMsg", `⚠ ${area} に出発地以外の到着地がありません。`);
+    return;
+  }
+  const noRoute = res.misses.filter(r => !r.hasAnyRoute).length;
+  safeText("#areaMsg", res.best
+    ? `${res.from}→${area} ${ymd(date)}：最安は ${res.best.to} ${money(res.best.row.fare)}円（運賃あり ${res.hits.length}/${res.places.length}地点）`
+    : `⚠ ${res.from}→${area} ${ymd(date)}：適用できる直行運賃はありません（路線なし ${noRoute} / 期間外 ${res.misses.length - noRoute}）`);
+
+  const prefOf = (p) => DB.placePrefs.get(p) || "";
+  tbody.innerHTML = res.hits.map((r, i) => `<tr class="${i === 0 ? "best" : ""}">
+      <td>${escapeHtml(r.to)}</td>
+      <td>${escapeHtml(prefOf(r.to))}</td>
+      <td>${escapeHtml(r.row.priceType || "-")}</td>
+      <td class="num">${money(r.row.fare)}</td>
+      <td>${ymd(r.row.validFrom)}〜${ymd(r.row.validTo)}</td>
+      <td><button class="btn small ghost" data-to="${escapeHtml(r.to)}">旅程に追加</button></td>
+    </tr>`)
+    .concat(res.misses.map(r => `<tr class="none">
+      <td>${escapeHtml(r.to)}</td>
+      <td>${escapeHtml(prefOf(r.to))}</td>
+      <td colspan="4">${r.hasAnyRoute ? "この日は運賃の適用期間外" : "直行の路線なし"}</td>
+    </tr>`))
+    .join("");
+  wrap.hidden = false;
+}
 
-  // merge external aliases (optional)
-  for (const a of (aliasRows || [])){
-    const aa = normalizeRowKeys(a);
-    const alias = (aa.alias ?? "").toString().trim();
-    const canon = (aa.canonical ?? "").toString().trim();
-    if (!alias || !canon) continue;
-    aliasToCanon.set(normKey(alias), canon);
+// -----------------------------
+// Export (CSV / TSV / 旅費精算書)
+// -----------------------------
+// Current results (same order and include flags as #resultTable)
+function exportTable(){
+  return resultsTable(window.__results, { discountRules: window.__discountRules });
+}
+
+function exportFileStem(){
+  return `運賃_${nowStamp().slice(0,10).replace(/-/g, "")}`;
+}
+
+function copyResultsTSV(){
+  const t = exportTable();
+  if (!t.count){ safeText("#exportMsg", "出力する検索結果がありません。"); return; }
+  const text = exportTSV(t);
+  const done = () => safeText("#exportMsg", `TSVをコピーしました（${t.count}行）。Excel等に貼り付けできます。`);
+  if (navigator.clipboard?.writeText){
+    navigator.clipboard.writeText(text).then(done, () => safeText("#exportMsg", "クリップボードにコピーできませんでした。"));
+  } else {
+    safeText("#exportMsg", "このブラウザはクリップボードに対応していません。CSVを利用してください。");
   }
+}
+
+function buildExpenseReportHTML(t, info){
+  const m = DB.meta;
+  const body = t.rows.map(cols => `
+      <tr class="${cols[7] === "対象" ? "" : "excluded"}">
+        <td>${escapeHtml(cols[0])}</td>
+        <td>${escapeHtml(cols[1])}${cols[3] ? `<div class="via">経由: ${escapeHtml(cols[3])}</div>` : ""}</td>
+        <td>${escapeHtml(cols[2])}</td>
+        <td>${escapeHtml(cols[4])}</td>
+        <td class="num">${cols[5] ? money(Number(cols[5])) : "-"}</td>
+        <td>${escapeHtml(cols[6])}</td>
+        <td class="c">${cols[7] === "対象" ? "○" : "×"}</td>
+      </tr>`).join("");
+
+  return `<!doctype html>
+<html lang="ja">
+<head>
+<meta charset="utf-8" />
+<title>旅費精算書</title>
+<style>
+  body{font-family:"Hiragino Kaku Gothic ProN","Meiryo","Noto Sans JP",sans-serif; color:#111827; margin:24px}
+  h1{font-size:20px; text-align:center; letter-spacing:.3em; margin:0 0 16px}
+  .head{display:grid; grid-template-columns:1fr 1fr; gap:6px 24px; margin-bottom:14px; font-size:13px}
+  .head div{border-bottom:1px solid #9ca3af; padding:4px 0}
+  .head span{color:#6b7280; display:inline-block; min-width:84px}
+  table{width:100%; border-collapse:collapse; font-size:12px}
+  th,td{border:1px solid #9ca3af; padding:5px 6px; text-align:left}
+  th{background:#f3f4f6}
+  .num{text-align:right; font-variant-numeric:tabular-nums}
+  .c{text-align:center}
+  .via{color:#6b7280; font-size:11px}
+  tr.excluded td{color:#9ca3af}
+  tfoot td{font-weight:700}
+  .stamp{margin-top:10px; font-size:11px; color:#6b7280}
+  .tools{margin-bottom:16px}
+  @media print{ .tools{display:none} body{margin:0} @page{size:A4; margin:14mm} }
+</style>
+</head>
+<body>
+  <div class="tools"><button onclick="window.print()">印刷 / PDF保存</button></div>
+  <h1>旅費精算書</h1>
+  <div class="head">
+    <div><span>申請者</span>${escapeHtml(info.applicant)}</div>
+    <div><span>作成日</span>${escapeHtml(nowStamp().slice(0,10))}</div>
+    <div><span>目的</span>${escapeHtml(info.purpose)}</div>
+    <div><span>合計（対象）</span>${money(t.total)} 円（${t.includedCount}/${t.count}件）</div>
+    ${t.discounts?.adjustments.length ? `<div><span>割引後合計</span>${money(t.discounts.discounted)} 円（${t.discounts.adjustments.map(a => `${escapeHtml(a.rule.label)} −${money(a.amount)}`).join(" / ")}）</div>` : ""}
+    ${t.parts ? `<div><span>内訳</span>${t.partKeys.map(k => `${escapeHtml(fareComponentLabel(k))} ${money(t.parts[k])} 円`).join(" / ")}</div>` : ""}
+  </div>
+  <table>
+    <thead>
+      <tr><th>日付</th><th>出発地</th><th>到着地</th><th>価格タイプ</th><th class="num">運賃</th><th>適用期間</th><th class="c">対象</th></tr>
+    </thead>
+    <tbody>${body}
+    </tbody>
+    <tfoot>
+      <tr><td colspan="4">合計</td><td class="num">${money(t.total)}</td><td colspan="2"></td></tr>
+    </tfoot>
+  </table>
+  <div class="stamp">運賃データ: ${escapeHtml(m.source || "-")}（更新 ${escapeHtml(m.updatedAt || "-")} / fares=${m.fares}） • ${escapeHtml(APP_VERSION)}</div>
+</body>
+</html>`;
+}
 
-  // route index
-  const map = new Map();
-  for (const row of fares){
-    const k = normKey(row.from) + "||" + normKey(row.to);
-    if (!map.has(k)) map.set(k, []);
-    map.get(k).push(row);
+function openExpenseReport(){
+  const t = exportTable();
+  if (!t.count){ safeText("#exportMsg", "出力する検索結果がありません。"); return; }
+  const info = {
+    applicant: $("#expApplicant")?.value || "",
+    purpose: $("#expPurpose")?.value || "",
+  };
+  const w = window.open("", "_blank");
+  if (!w){ safeText("#exportMsg", "ポップアップがブロックされました。許可してから再実行してください。"); return; }
+  w.document.open();
+  w.document.write(buildExpenseReportHTML(t, info));
+  w.document.close();
+  safeText("#exportMsg", "");
+}
+
+// -----------------------------
+// Dataset diff (UI)
+// -----------------------------
+const DIFF_KIND_LABEL = {
+  "route-added": ["路線追加", "green"],
+  "route-removed": ["路線削除", "red"],
+  "fare-up": ["値上げ", "red"],
+  "fare-down": ["値下げ", "green"],
+  "period-changed": ["期間変更", "amber"],
+  "type-changed": ["価格タイプ変更", "amber"],
+  "row-added": ["運賃追加", "green"],
+  "row-removed": ["運賃削除", "red"],
+};
+
+function signedMoney(n){
+  if (n == null) return "-";
+  return (n > 0 ? "+" : "") + money(n);
+}
+
+// Loaded comparison dataset vs current DB. Default: loaded = 旧, current = 新.
+function diffSides(){
+  const other = window.__diffDb;
+  if (!other) return null;
+  other.db.policy = DB.policy;
+  other.db.bookedOn = DB.bookedOn;
+  const cur = { db: DB, name: DB.meta.source || "現在のデータ" };
+  return $("#diffSwap")?.checked ? { older: cur, newer: other } : { older: other, newer: cur };
+}
+
+function renderDiff(){
+  const sides = diffSides();
+  const tbody = $("#diffTable tbody");
+  const legBody = $("#diffLegTable tbody");
+  if (!tbody || !legBody) return;
+
+  tbody.innerHTML = "";
+  legBody.innerHTML = "";
+  window.__diffResult = null;
+  if (!sides || !DB.faresRows.length) return;
+
+  const diff = diffFareDBs(sides.older.db, sides.newer.db, {
+    from: $("#diffFrom")?.value || "",
+    to: $("#diffTo")?.value || "",
+  });
+  window.__diffResult = diff;
+
+  const summary = Object.entries(diff.counts).map(([k, n]) => `${DIFF_KIND_LABEL[k]?.[0] || k} ${n}`).join(" / ");
+  safeText("#diffMsg", `旧: ${sides.older.name} → 新: ${sides.newer.name}　${summary || "差分なし"}`);
+
+  for (const e of diff.entries.slice(0, 500)){
+    const [label, color] = DIFF_KIND_LABEL[e.kind] || [e.kind, ""];
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td><span class="pill ${color}">${label}</span></td>
+      <td>${escapeHtml(e.route)}</td>
+      <td>${escapeHtml(e.priceType || "-")}</td>
+      <td>${escapeHtml(e.period || "-")}</td>
+      <td class="num">${typeof e.before === "number" ? money(e.before) : escapeHtml(e.before || "-")}</td>
+      <td class="num">${typeof e.after === "number" ? money(e.after) : escapeHtml(e.after || "-")}</td>
+      <td class="num">${signedMoney(e.delta)}</td>
+    `;
+    tbody.appendChild(tr);
+  }
+
+  // current itinerary on both versions
+  const rows = compareItinerary(sides.older.db, sides.newer.db, pricedLegs());
+  let sumBefore = 0;
+  let sumAfter = 0;
+  for (const r of rows){
+    const cell = (x) => x.hit ? `${money(x.row.fare)}（${escapeHtml(x.row.priceType || "-")}）` : `<span class="pill amber">${x.hasAnyRoute ? "期間外" : "未登録"}</span>`;
+    if (r.before.hit) sumBefore += r.before.row.fare;
+    if (r.after.hit) sumAfter += r.after.row.fare;
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${ymd(r.leg.date)}</td>
+      <td>${escapeHtml(routeLabel(legStops(r.leg)))}</td>
+      <td class="num">${cell(r.before)}</td>
+      <td class="num">${cell(r.after)}</td>
+      <td class="num">${signedMoney(r.delta)}</td>
+    `;
+    legBody.appendChild(tr);
+  }
+  if (rows.length){
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td colspan="2"><b>合計（ヒット分）</b></td>
+      <td class="num"><b>${money(sumBefore)}</b></td>
+      <td class="num"><b>${money(sumAfter)}</b></td>
+      <td class="num"><b>${signedMoney(sumAfter - sumBefore)}</b></td>
+    `;
+    legBody.appendChild(tr);
   }
-  for (const [k, arr] of map.entries()){
-    arr.sort((a,b)=>a.validFrom - b.validFrom || a.validTo - b.validTo || a.fare - b.fare);
+}
+
+async function loadDiffDataset(text, name, url){
+  const parsed = await runInBackground("parse", { text, name });
+  const layers = [{ name, url, rows: parsed.rows, priority: 0 }];
+  window.__diffDb = { db: await runInBackground("build", { layers, aliasRows: DB.aliasRows }), name };
+  renderDiff();
+}
+
+// -----------------------------
+// Selection policy (UI)
+// -----------------------------
+// Built-in FARE_POLICIES (core.js) plus data/fare_policy.json when deployed (same id replaces a built-in).
+const POLICY_CONFIG = "data/fare_policy.json";
+window.__policies = FARE_POLICIES.slice();
+window.__policyWanted = "";
+
+function currentPolicy(){
+  const id = $("#policySelect")?.value || window.__policyWanted || "default";
+  return window.__policies.find(p => p.id === id) || window.__policies[0];
+}
+
+function renderPolicyOptions(){
+  const sel = $("#policySelect");
+  if (!sel) return;
+  const keep = window.__policyWanted || sel.value;
+  sel.innerHTML = window.__policies.map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.label)}</option>`).join("");
+  if (window.__policies.some(p => p.id === keep)) sel.value = keep;
+}
+
+function selectPolicy(id){
+  window.__policyWanted = id;
+  renderPolicyOptions();
+  DB.policy = currentPolicy();
+}
+
+async function loadPolicyConfig(){
+  let got;
+  try{
+    got = await fetchTextFirstOk(remoteUrls(POLICY_CONFIG));
+  } catch {
+    return; // not deployed: built-in policies only
+  }
+  if (looksLikeHTML(got.text)) return;
+  try{
+    const conf = parsePolicyConfig(got.text);
+    const ids = new Set(conf.policies.map(p => p.id));
+    window.__policies = [...FARE_POLICIES.filter(p => !ids.has(p.id)), ...conf.policies];
+    if (!window.__policyWanted) window.__policyWanted = conf.default;
+    DB.loadLog.push(`POLICY: ${POLICY_CONFIG} policies=${conf.policies.length} default=${conf.default}`);
+  } catch (e){
+    DB.loadLog.push(`WARN: ${POLICY_CONFIG} ignored: ${e?.message || e}`);
   }
+  renderPolicyOptions();
+  DB.policy = currentPolicy();
+}
+
+// -----------------------------
+// Session aliases (accepted "did you mean" spellings; dropped when the tab closes)
+// -----------------------------
+const SESSION_ALIAS_KEY = "fareCalc.sessionAliases.v1";
 
-  DB.faresRows = fares;
-  DB.routeMap = map;
-  DB.places = places;
-  DB.aliasToCanon = aliasToCanon;
-  DB.meta = {
-    source: sourceName,
-    sourceUrl: sourceUrl || "",
-    fares: fares.length,
-    routes: map.size,
-    places: places.length,
-    updatedAt: nowStamp(),
-    rawRows: Array.isArray(fareRows) ? fareRows.length : 0,
+function loadSessionAliases(){
+  try{
+    const list = JSON.parse(sessionStorage.getItem(SESSION_ALIAS_KEY) || "[]");
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function addSessionAlias(alias, canonical){
+  const list = loadSessionAliases().filter(([a]) => normKey(a) !== normKey(alias));
+  list.push([alias, canonical]);
+  try{
+    sessionStorage.setItem(SESSION_ALIAS_KEY, JSON.stringify(list));
+  } catch {}
+  applySessionAliases();
+  DB.loadLog.push(`ALIAS(session): ${alias} => ${canonical}`);
+  renderAliasManager();
+}
+
+function removeSessionAlias(alias){
+  const list = loadSessionAliases().filter(([a]) => normKey(a) !== normKey(alias));
+  try{
+    sessionStorage.setItem(SESSION_ALIAS_KEY, JSON.stringify(list));
+  } catch {}
+  DB.aliasToCanon = aliasMap(DB.places, DB.aliasRows);
+  applySessionAliases();
+}
+
+// Re-applied after every DB build and alias edit; sheet aliases win over session ones.
+// Every aliasToCanon change ends here, so the route graph (built through resolvePlace) is rebuilt too.
+function applySessionAliases(){
+  for (const [alias, canonical] of loadSessionAliases()){
+    const k = normKey(alias);
+    if (k && DB.places.includes(canonical) && !DB.aliasToCanon.has(k)) DB.aliasToCanon.set(k, canonical);
+  }
+  DB.fuzzy = null;
+  DB.placeGraph = buildPlaceGraph(DB);
+}
+
+// -----------------------------
+// Alias manager (UI)
+// -----------------------------
+// Edits change the alias sheet rows (origin "file") and replace data/place_aliases.csv for this page,
+// like an imported alias sheet (see loadAliasRowsRemote); export the CSV and deploy it to keep them.
+const ALIAS_MANAGER_LIMIT = 300;
+window.__aliasEditing = null; // DB.aliasRows index being edited
+
+function aliasIssues(r){
+  return [
+    r.missing ? "運賃データに無い地名" : "",
+    r.conflict ? "衝突（同じ別名に別の正規名）" : "",
+    r.duplicate ? "重複" : "",
+    !r.active && !r.missing && !r.conflict ? "他の定義が優先" : "",
+  ].filter(Boolean);
+}
+
+function renderAliasManager(){
+  const tbody = $("#aliasTable tbody");
+  if (!tbody) return;
+  const session = loadSessionAliases().map(([alias, canonical]) => ({ alias, canonical, origin: "session" }));
+  const { rows, counts } = aliasReport(DB.places, DB.aliasRows, session);
+
+  const q = normKey($("#aliasSearch")?.value || "");
+  const filter = $("#aliasFilter")?.value || "";
+  const shown = rows.filter(r => {
+    if (filter === "problems" && !(r.missing || r.conflict || r.duplicate)) return false;
+    if (filter && filter !== "problems" && r.origin !== filter) return false;
+    return !q || r.key.includes(q) || normKey(r.canonical).includes(q);
+  });
+
+  safeText("#aliasSummary", `全${counts.total}件（ファイル${counts.file}件） / 運賃データに無い地名 ${counts.missing}件 / 衝突 ${counts.conflict}組 / 重複 ${counts.duplicate}件`
+    + ` — 表示 ${Math.min(shown.length, ALIAS_MANAGER_LIMIT)}/${shown.length}件`);
+
+  tbody.innerHTML = shown.slice(0, ALIAS_MANAGER_LIMIT).map(r => {
+    const ref = r.origin === "file" ? `data-line="${r.line}"` : `data-alias="${escapeHtml(r.alias)}" data-canon="${escapeHtml(r.canonical)}"`;
+    const actions = r.origin === "file"
+      ? `<button class="btn small ghost" data-alias-act="edit" ${ref}>編集</button><button class="btn small ghost" data-alias-act="delete" ${ref}>削除</button>`
+      : r.origin === "session"
+        ? `<button class="btn small ghost" data-alias-act="keep" ${ref}>ファイルに追加</button><button class="btn small ghost" data-alias-act="forget" ${ref}>削除</button>`
+        : `<button class="btn small ghost" data-alias-act="override" ${ref}>上書き</button>`;
+    return `<tr class="${r.active ? "" : "inactive"}">
+      <td>${escapeHtml(r.alias)}</td>
+      <td>${escapeHtml(r.canonical)}</td>
+      <td>${ALIAS_ORIGINS[r.origin] || r.origin}${r.line ? `（${r.line}行目）` : ""}</td>
+      <td class="issue">${escapeHtml(aliasIssues(r).join(" / "))}</td>
+      <td>${actions}</td>
+    </tr>`;
+  }).join("");
+
+  tbody.querySelectorAll("button[data-alias-act]").forEach(btn => {
+    btn.addEventListener("click", () => aliasAction(btn.dataset.aliasAct, btn.dataset));
+  });
+
+  const list = $("#aliasPlaces");
+  if (list) list.innerHTML = DB.places.map(p => `<option value="${escapeHtml(p)}"></option>`).join("");
+}
+
+function aliasAction(act, data){
+  const idx = Number(data.line) - 2;
+  const row = DB.aliasRows[idx] ? normalizeRowKeys(DB.aliasRows[idx]) : null;
+  if (act === "edit" && row){
+    setAliasForm(row.alias, row.canonical, idx);
+  } else if (act === "delete" && row){
+    applyAliasRows(DB.aliasRows.filter((_, i) => i !== idx));
+    safeText("#aliasMsg", `✅ 削除しました: ${row.alias} → ${row.canonical}`);
+  } else if (act === "override"){
+    setAliasForm(data.alias, "", null);
+  } else if (act === "keep"){
+    removeSessionAlias(data.alias);
+    saveAlias(data.alias, data.canon, null);
+  } else if (act === "forget"){
+    removeSessionAlias(data.alias);
+    renderAliasManager();
+    runSearch();
+    safeText("#aliasMsg", `✅ 学習した表記を削除しました: ${data.alias}`);
+  }
+}
+
+function setAliasForm(alias, canonical, editing){
+  window.__aliasEditing = editing;
+  const a = $("#aliasEditAlias");
+  const c = $("#aliasEditCanon");
+  if (a) a.value = alias || "";
+  if (c) c.value = canonical || "";
+  safeText("#btnAliasSave", editing === null ? "追加" : "更新");
+  const cancel = $("#btnAliasCancel");
+  if (cancel) cancel.hidden = editing === null;
+  (canonical ? a : c)?.focus?.();
+}
+
+// Add (editing null) or replace one sheet row; warns about unknown places and collisions
+function saveAlias(alias, canonical, editing){
+  alias = (alias || "").trim();
+  canonical = (canonical || "").trim();
+  if (!alias || !canonical){
+    safeText("#aliasMsg", "別名と正規名を入力してください。");
+    return;
+  }
+  const rows = DB.aliasRows.slice();
+  if (editing !== null && rows[editing]) rows[editing] = { alias, canonical };
+  else rows.push({ alias, canonical });
+  applyAliasRows(rows);
+  setAliasForm("", "", null);
+
+  const same = aliasReport(DB.places, rows).rows.filter(r => r.key === normKey(alias));
+  const warn = [
+    !DB.places.includes(canonical) ? `「${canonical}」は運賃データにありません` : "",
+    same.some(r => r.conflict) ? `「${alias}」は別の正規名にも登録されています（${[...new Set(same.map(r => r.canonical))].join(" / ")}）` : "",
+  ].filter(Boolean);
+  safeText("#aliasMsg", warn.length ? `⚠ 保存しました（${warn.join("、")}）` : `✅ 保存しました: ${alias} → ${canonical}`);
+}
+
+function applyAliasRows(rows){
+  window.__aliasImport = { name: "同義語の管理（未保存）", rows };
+  DB.aliasRows = rows;
+  DB.aliasToCanon = aliasMap(DB.places, rows);
+  applySessionAliases();
+  DB.loadLog.push(`ALIASES: edited rows=${rows.length}`);
+  renderAliasManager();
+  runSearch();
+}
+
+function exportAliasCSV(){
+  const rows = DB.aliasRows.map(r => normalizeRowKeys(r))
+    .map(r => ({ alias: (r.alias ?? "").toString().trim(), canonical: (r.canonical ?? "").toString().trim() }))
+    .filter(r => r.alias && r.canonical);
+  downloadText("place_aliases.csv", aliasCSV(rows), "text/csv;charset=utf-8");
+  safeText("#aliasMsg", `place_aliases.csv を保存しました（${rows.length}件）。data/ に置くと全員に反映されます。`);
+}
+
+// -----------------------------
+// State persistence (localStorage + shareable URL)
+// -----------------------------
+// URL form: #it=<itinerary text>&x=<excluded leg indexes>&src=<data source>
+// The hash is never sent to the server, so it survives the _redirects SPA fallback.
+const STATE_KEY = "fareCalc.state.v1";
+
+function currentState(){
+  const legs = window.__legs || [];
+  return {
+    it: legs.map(legToLine).join("\n"),
+    x: legs.map((l, i) => l.excluded ? i : -1).filter(i => i >= 0),
+    src: $("#dbSourceSelect")?.value || "auto",
+    pol: DB.policy?.id || "default",
+    pax: PASSENGER_TYPES.map(t => paxCount(t.key)),
+    pn: $("#paxNames")?.value || "",
+    bk: $("#bookingDate")?.value || "",
   };
+}
+
+function stateToHash(st){
+  const p = new URLSearchParams();
+  if (st.it) p.set("it", st.it);
+  if (st.x?.length) p.set("x", st.x.join(","));
+  if (st.src && st.src !== "auto") p.set("src", st.src);
+  if (st.pol && st.pol !== "default") p.set("pol", st.pol);
+  if (st.pax && st.pax.join(",") !== "1,0,0") p.set("pax", st.pax.join(","));
+  if (st.pn) p.set("pn", st.pn);
+  if (st.bk) p.set("bk", st.bk);
+  const q = p.toString();
+  return q ? "#" + q : "";
+}
+
+function stateFromHash(hash){
+  const p = new URLSearchParams((hash || "").replace(/^#/, ""));
+  if (!p.has("it") && !p.has("src")) return null;
+  return {
+    it: p.get("it") || "",
+    x: (p.get("x") || "").split(",").filter(Boolean).map(Number).filter(Number.isInteger),
+    src: p.get("src") || "auto",
+    pol: p.get("pol") || "default",
+    pax: p.has("pax") ? p.get("pax").split(",").map(Number) : null,
+    pn: p.get("pn") || "",
+    bk: p.get("bk") || "",
+  };
+}
+
+function saveState(){
+  if (window.__restoring) return;
+  const st = currentState();
+  try{
+    localStorage.setItem(STATE_KEY, JSON.stringify(st));
+  } catch {
+    // private mode / quota: URL still carries the state
+  }
+  const hash = stateToHash(st);
+  if (hash !== location.hash){
+    history.replaceState(null, "", location.pathname + location.search + hash);
+  }
+}
+
+function loadSavedState(){
+  const fromUrl = stateFromHash(location.hash);
+  if (fromUrl) return { ...fromUrl, origin: "url" };
+  try{
+    const raw = localStorage.getItem(STATE_KEY);
+    if (raw) return { ...JSON.parse(raw), origin: "localStorage" };
+  } catch {
+    // ignore broken storage
+  }
+  return null;
+}
+
+function restoreState(){
+  const st = loadSavedState();
+  if (!st) return;
+
+  const { legs, errors } = parseItineraryLines(st.it || "", { coverage: fareCoverage(DB) });
+  const excluded = new Set(st.x || []);
+  legs.forEach((l, i) => { if (excluded.has(i)) l.excluded = true; });
+  window.__legs = legs;
+
+  const srcSel = $("#dbSourceSelect");
+  if (srcSel && st.src && Array.from(srcSel.options).some(o => o.value === st.src)) srcSel.value = st.src;
+
+  // the policy list may still grow from fare_policy.json; selectPolicy() keeps the wish until then
+  if (st.pol) selectPolicy(st.pol);
+
+  PASSENGER_TYPES.forEach((t, i) => {
+    const el = $(paxInputId(t.key));
+    if (el && Number.isInteger(st.pax?.[i])) el.value = String(st.pax[i]);
+  });
+  const pn = $("#paxNames");
+  if (pn && st.pn) pn.value = st.pn;
+  const bk = $("#bookingDate");
+  if (bk && st.bk) bk.value = st.bk;
+
+  const t = $("#itineraryText");
+  if (t && !t.value && st.it) t.value = st.it;
+
+  const label = st.origin === "url" ? "共有リンク" : "前回の保存";
+  safeText("#parseMsg", errors.length
+    ? `${label}から復元（一部読めません）: ${errors.slice(0, 3).join(" / ")}`
+    : `${label}から旅程を復元しました：${legs.length}件`);
+}
+
+function copyShareLink(){
+  saveState();
+  const url = location.href;
+  const done = () => safeText("#parseMsg", "共有リンクをコピーしました。");
+  if (navigator.clipboard?.writeText){
+    navigator.clipboard.writeText(url).then(done, () => window.prompt("共有リンク", url));
+  } else {
+    window.prompt("共有リンク", url);
+  }
+}
+
+// -----------------------------
+// DB build
+// -----------------------------
+// Swap in a freshly built DB (keeps the load log) and refresh the status area
+async function buildDBFromRows(fareRows, sourceName, sourceUrl, aliasRows){
+  await buildDBFromLayers([{ name: sourceName, url: sourceUrl, rows: fareRows, priority: 0 }], aliasRows);
+}
+
+// Normalizing, indexing and linting run in worker.js (see runInBackground)
+async function buildDBFromLayers(layers, aliasRows){
+  Object.assign(DB, await runInBackground("build", { layers, aliasRows }, loadProgress()));
+  DB.sourceLayers = layers;
+  DB.aliasRows = aliasRows || [];
+  applySessionAliases();
+  DB.policy = currentPolicy();
+  DB.bookedOn = currentBookingDate();
+
+  for (const l of (DB.meta.layers || [])){
+    DB.loadLog.push(`LAYER: ${l.name} priority=${l.priority} fares=${l.fares} overridden=${l.overridden}`);
+  }
 
   setDbMeta();
+  renderLintReport();
+  renderAliasManager();
 
   if (DB.faresRows.length === 0 || DB.places.length === 0){
     setDbLoadMsg(`⚠ DB読込は成功しましたが、検索用データが0件です。期間列（価格適用期間）が想定形式か確認してください。rawRows=${DB.meta.rawRows}`);
@@ -805,14 +1531,67 @@ function buildDBFromRows(fareRows, sourceName, sourceUrl, aliasRows){
   }
 }
 
+function setDbMeta(){
+  const m = DB.meta;
+  const el = $("#dbMeta");
+  if (!el) return;
+
+  if (!m.source){
+    el.textContent = "-";
+    return;
+  }
+
+  const layers = (m.layers || []).length > 1
+    ? m.layers.map(l => `${l.name}(優先度${l.priority})`).join(" > ")
+    : m.source;
+  const at = window.__offline.at;
+  const offline = at !== null && !m.source.startsWith("local:")
+    ? `⚠ オフラインデータ（${at ? at.slice(0,19).replace("T"," ") : "取得日時不明"} 時点） / `
+    : "";
+  el.textContent = `${offline}DB: ${layers} / routes=${m.routes} / fares=${m.fares} / places=${m.places} / updated=${m.updatedAt}`;
+  el.classList.toggle("offline", !!offline);
+}
+
+function setDbLoadMsg(msg){
+  safeText("#dbLoadMsg", msg || "");
+}
+
+function downloadText(filename, text, mime){
+  const blob = new Blob([text], { type: mime || "text/plain;charset=utf-8" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+function renderLintReport(){
+  const r = DB.lint;
+  const btn = $("#btnDownloadLint");
+  if (btn) btn.disabled = !r;
+
+  if (!r){
+    safeText("#lintSummary", "");
+    safeText("#lintPreview", "");
+    return;
+  }
+
+  const { error, warn, info } = r.counts;
+  safeText("#lintSummary", r.issues.length
+    ? `データ検証: エラー${error}件 / 警告${warn}件 / 情報${info}件`
+    : "データ検証: 問題は見つかりませんでした");
+
+  const preview = r.issues.slice(0, 50).map(x => `[${x.level}] ${(DB.sourceLayers.length > 1 && x.source) ? x.source + " " : ""}${x.row ? x.row + "行目 " : ""}${x.route ? x.route + " " : ""}${x.message}`).join("\n");
+  safeText("#lintPreview", preview + (r.issues.length > 50 ? `\n…ほか${r.issues.length - 50}件（CSVで全件確認）` : ""));
+}
+
+// An alias sheet imported from a local file replaces data/place_aliases.csv until the page is reloaded
 async function loadAliasRowsRemote(){
-  const urls = [
-    new URL("./data/place_aliases.csv", location.href).toString(),
-    "data/place_aliases.csv",
-    "./data/place_aliases.csv",
-  ];
+  if (window.__aliasImport) return window.__aliasImport.rows;
   try{
-    const got = await fetchTextFirstOk(urls);
+    const got = await fetchTextFirstOk(remoteUrls("data/place_aliases.csv"));
     if (looksLikeHTML(got.text)) return [];
     return parseCSV(got.text);
   } catch {
@@ -820,48 +1599,109 @@ async function loadAliasRowsRemote(){
   }
 }
 
+// candidate URLs - robust for GitHub Pages (subdir) & Netlify
+function remoteUrls(path){
+  return [
+    new URL("./" + path, location.href).toString(),
+    path,
+    "./" + path,
+  ];
+}
+
+const REMOTE_SOURCES = ["transport.csv", "fare_source.tsv"];
+
+// Optional layer config: { "sources": [{ "path": "data/x.csv", "priority": 0, "optional": false }] }
+const SOURCES_CONFIG = "data/sources.json";
+
+async function loadSourcesConfig(){
+  let got;
+  try{
+    got = await fetchTextFirstOk(remoteUrls(SOURCES_CONFIG));
+  } catch {
+    return null; // not deployed: single-file mode
+  }
+  if (looksLikeHTML(got.text)) return null;
+  const conf = JSON.parse(stripBOM(got.text));
+  const list = Array.isArray(conf) ? conf : conf?.sources;
+  if (!Array.isArray(list) || !list.length) throw new Error(`${SOURCES_CONFIG} に sources がありません`);
+  return list.map((x, i) => ({
+    path: (x.path || "").toString(),
+    name: (x.name || (x.path || "").toString().split("/").pop()),
+    priority: Number.isFinite(Number(x.priority)) ? Number(x.priority) : i,
+    optional: !!x.optional,
+  })).filter(x => x.path);
+}
+
+async function loadRemoteLayers(conf){
+  const layers = [];
+  for (const src of conf){
+    try{
+      const got = await fetchTextFirstOk(remoteUrls(src.path));
+      if (looksLikeHTML(got.text)) throw new Error(`${src.path} がHTMLを返しています（SPA fallback等）`);
+      const parsed = await runInBackground("table", { text: got.text, name: src.path }, loadProgress(src.name));
+      layers.push({ name: src.name, url: got.url, rows: remoteFareRows(parsed.rows, src.path), priority: src.priority });
+    } catch (e){
+      if (!src.optional) throw e;
+      DB.loadLog.push(`WARN: optional ${src.path} skipped: ${e?.message || e}`);
+    }
+  }
+  if (!layers.length) throw new Error(`${SOURCES_CONFIG}: 読み込めたデータがありません`);
+  return layers;
+}
+
+// "auto" = transport.csv (preferred) then fare_source.tsv (fallback)
+function remoteSourceOrder(pref){
+  if (!pref || pref === "auto" || !REMOTE_SOURCES.includes(pref)) return REMOTE_SOURCES.slice();
+  return [pref, ...REMOTE_SOURCES.filter(x => x !== pref)];
+}
+
 async function loadDBRemote(){
   DB.loadLog = [];
+  resetDataFreshness();
   setDbLoadMsg("DB読み込み中...");
 
-  // candidate URLs - robust for GitHub Pages (subdir) & Netlify
-  const csvUrls = [
-    new URL("./data/transport.csv", location.href).toString(),
-    "data/transport.csv",
-    "./data/transport.csv",
-  ];
-  const tsvUrls = [
-    new URL("./data/fare_source.tsv", location.href).toString(),
-    "data/fare_source.tsv",
-    "./data/fare_source.tsv",
-  ];
+  const pref = $("#dbSourceSelect")?.value || "auto";
+  await loadPolicyConfig();
+  await loadPassengerRules();
+  await loadDiscountRules();
+
+  // 0) layered sources (data/sources.json), only in auto mode
+  if (pref === "auto"){
+    const conf = await loadSourcesConfig();
+    if (conf){
+      const layers = await loadRemoteLayers(conf);
+      await buildDBFromLayers(layers, await loadAliasRowsRemote());
+      renderSelectOptions();
+      runSearch();
+      return;
+    }
+  }
+
+  const order = remoteSourceOrder(pref);
 
   let fareRows = null;
   let sourceName = "";
   let sourceUrl = "";
+  let lastErr = null;
 
-  // 1) try transport.csv
-  try{
-    const got = await fetchTextFirstOk(csvUrls);
-    if (looksLikeHTML(got.text)) throw new Error("transport.csv がHTMLを返しています（SPA fallback等）");
-    const parsed = parseFareRowsFromText(got.text, "transport.csv");
-    fareRows = parsed.rows;
-    sourceName = "transport.csv";
-    sourceUrl = got.url;
-  } catch (eCsv){
-    DB.loadLog.push(`WARN: transport.csv failed: ${eCsv?.message || eCsv}`);
-
-    // 2) fallback tsv
-    const got = await fetchTextFirstOk(tsvUrls);
-    if (looksLikeHTML(got.text)) throw new Error("fare_source.tsv がHTMLを返しています（SPA fallback等）");
-    const parsed = parseFareRowsFromText(got.text, "fare_source.tsv");
-    fareRows = parsed.rows;
-    sourceName = "fare_source.tsv";
-    sourceUrl = got.url;
+  for (const name of order){
+    try{
+      const got = await fetchTextFirstOk(remoteUrls("data/" + name));
+      if (looksLikeHTML(got.text)) throw new Error(`${name} がHTMLを返しています（SPA fallback等）`);
+      const parsed = await runInBackground("table", { text: got.text, name }, loadProgress(name));
+      fareRows = remoteFareRows(parsed.rows, name);
+      sourceName = name;
+      sourceUrl = got.url;
+      break;
+    } catch (e){
+      lastErr = e;
+      DB.loadLog.push(`WARN: ${name} failed: ${e?.message || e}`);
+    }
   }
+  if (!fareRows) throw lastErr || new Error("fare data not found");
 
   const aliasRows = await loadAliasRowsRemote();
-  buildDBFromRows(fareRows, sourceName, sourceUrl, aliasRows);
+  await buildDBFromRows(fareRows, sourceName, sourceUrl, aliasRows);
 
   // populate dropdowns
   renderSelectOptions();
@@ -870,18 +1710,245 @@ async function loadDBRemote(){
   runSearch();
 }
 
-async function loadDBFromLocalFile(file){
-  const text = await file.text();
-  DB.loadLog = [`LOCAL: ${file.name} (${text.length} chars)`];
+// -----------------------------
+// Local file import (CSV / TSV / Excel)
+// -----------------------------
+function isXlsxName(name){
+  return /\.xlsx$/i.test(name || "");
+}
+
+// Workbook of the picked file, read once per file: { file, sheets: [{ name, rows }] }
+async function localWorkbook(file){
+  const cur = window.__workbook;
+  if (cur && cur.file === file) return cur;
+  const sheets = await runInBackground("xlsx", { bytes: new Uint8Array(await file.arrayBuffer()) });
+  window.__workbook = { file, sheets };
+  return window.__workbook;
+}
+
+// Sheet picker for .xlsx; preselects the first sheet that fits the chosen role
+async function renderSheetOptions(){
+  const sel = $("#dbSheetSelect");
+  const file = $("#dbFileInput")?.files?.[0];
+  if (!sel) return;
+  if (!file || !isXlsxName(file.name)){
+    sel.hidden = true;
+    sel.innerHTML = "";
+    return;
+  }
+  try{
+    const { sheets } = await localWorkbook(file);
+    const fits = $("#dbFileRole")?.value === "aliases" ? hasAliasShape : hasFareShape;
+    const pick = Math.max(sheets.findIndex(x => fits(x.rows).ok), 0);
+    sel.innerHTML = sheets.map((x, i) => `<option value="${i}"${i === pick ? " selected" : ""}>${escapeHtml(x.name)}（${x.rows.length}行）</option>`).join("");
+    sel.hidden = false;
+    setDbLoadMsg(`${file.name}: シート${sheets.length}件。読み込むシートを選んでください。`);
+  } catch (e){
+    console.error(e);
+    sel.hidden = true;
+    setDbLoadMsg("❌ Excelファイルを読み込めません: " + (e?.message || e));
+  }
+}
+
+// Local CSV/TSV -> { text, encoding } (Shift_JIS exports from Excel are common, see decodeText)
+async function readLocalText(file){
+  return decodeText(new Uint8Array(await file.arrayBuffer()));
+}
 
-  const parsed = parseFareRowsFromText(text, file.name);
+// Picked file -> { rows, name } (xlsx: the sheet chosen in #dbSheetSelect, named "file.xlsx#sheet")
+async function readLocalSheet(file){
+  if (isXlsxName(file.name)){
+    const { sheets } = await localWorkbook(file);
+    const sheet = sheets[Number($("#dbSheetSelect")?.value || 0)] || sheets[0];
+    DB.loadLog.push(`LOCAL: ${file.name} sheet=${sheet.name} (${sheet.rows.length} rows)`);
+    return { rows: sheet.rows, name: `${file.name}#${sheet.name}` };
+  }
+  const { text, encoding } = await readLocalText(file);
+  DB.loadLog.push(`LOCAL: ${file.name} (${text.length} chars, ${encoding})`);
+  return { text, name: file.name };
+}
+
+// asLayer: stack the file on top of the current sources instead of replacing them
+// review: open the column mapping step even when this header line has a remembered mapping
+async function loadDBFromLocalFile(file, asLayer, review){
+  DB.loadLog = [];
+  const sheet = await readLocalSheet(file);
+  const rows = sheet.rows || (await runInBackground("table", { text: sheet.text, name: sheet.name }, loadProgress(sheet.name))).rows;
+  if (!rows.length) throw new Error(`${sheet.name}: データ行がありません`);
+  const job = { name: sheet.name, rows, headers: Object.keys(rows[0]), asLayer };
+
+  const saved = savedColumnMapping(job.name, job.headers);
+  if (saved?.exact && !review){
+    DB.loadLog.push(`MAPPING: ${job.name} remembered (${describeMapping(saved.mapping)})`);
+    await buildFromLocalRows(job, saved.mapping);
+    return;
+  }
+  openColumnMapper(job, saved?.mapping);
+}
+
+// Mapped rows of a local file -> DB (replace, or a new top layer)
+async function buildFromLocalRows(job, mapping){
+  const rows = applyColumnMapping(job.rows, mapping);
+  const shape = hasFareShape(rows);
+  if (!shape.ok) throw new Error(`${job.name}: 出発地/到着地/運賃の列が見つかりません。${shape.reason || ""}`);
   const aliasRows = await loadAliasRowsRemote(); // keep same alias sheet if deployed
-  buildDBFromRows(parsed.rows, `local:${file.name}`, "", aliasRows);
+  const name = `local:${job.name}`;
+
+  if (job.asLayer && DB.sourceLayers.length){
+    const rest = DB.sourceLayers.filter(l => l.name !== name);
+    const top = Math.max(...rest.map(l => l.priority ?? 0), 0) + 1;
+    await buildDBFromLayers([...rest, { name, url: "", rows, priority: top }], aliasRows);
+  } else {
+    await buildDBFromRows(rows, name, "", aliasRows);
+  }
 
   renderSelectOptions();
   runSearch();
 }
 
+// Alias sheet (別名 / 正規名) from a local file; the current fare data is rebuilt with it
+async function loadAliasesFromLocalFile(file){
+  DB.loadLog = [];
+  const sheet = await readLocalSheet(file);
+  const rows = sheet.rows || parseCSV(sheet.text);
+  const shape = hasAliasShape(rows);
+  if (!shape.ok) throw new Error(`「${sheet.name}」に別名/正規名の列が見つかりません。${shape.reason || ""}`);
+
+  window.__aliasImport = { name: sheet.name, rows };
+  if (DB.sourceLayers.length){
+    await buildDBFromLayers(DB.sourceLayers, rows);
+    renderSelectOptions();
+    runSearch();
+  }
+  DB.loadLog.push(`ALIASES: local:${sheet.name} rows=${rows.length}`);
+  setDbLoadMsg(`✅ 同義語を読み込みました: ${sheet.name}（${rows.length}件、ページを再読み込みするまで有効）`);
+}
+
+// -----------------------------
+// Column mapping (UI)
+// -----------------------------
+// Confirmed mappings per header line: { [headerSignature]: { name, mapping, savedAt } }
+const COLUMN_MAP_KEY = "fareCalc.columnMaps.v1";
+const COLUMN_MAP_SAMPLES = 3;
+
+function loadColumnMaps(){
+  try{
+    const maps = JSON.parse(localStorage.getItem(COLUMN_MAP_KEY) || "{}");
+    return maps && typeof maps === "object" ? maps : {};
+  } catch {
+    return {};
+  }
+}
+
+// exact: saved for this very header line; otherwise the latest mapping saved for the same file name (a seed only)
+function savedColumnMapping(name, headers){
+  const maps = loadColumnMaps();
+  const hit = maps[headerSignature(headers)];
+  if (hit?.mapping) return { mapping: hit.mapping, exact: true };
+  const byName = Object.values(maps)
+    .filter(m => m?.mapping && m.name === name)
+    .sort((a,b) => String(b.savedAt).localeCompare(String(a.savedAt)))[0];
+  return byName ? { mapping: byName.mapping, exact: false } : null;
+}
+
+function saveColumnMapping(name, headers, mapping){
+  const maps = loadColumnMaps();
+  maps[headerSignature(headers)] = { name, mapping, savedAt: new Date().toISOString() };
+  try{
+    localStorage.setItem(COLUMN_MAP_KEY, JSON.stringify(maps));
+  } catch {}
+}
+
+function describeMapping(mapping){
+  return Object.entries(mapping || {}).map(([h, role]) => `${h}=>${role || "-"}`).join(", ");
+}
+
+// Deployed files: a mapping confirmed for the same header line is applied, otherwise the guesses stand
+function remoteFareRows(rows, name){
+  const saved = rows.length ? savedColumnMapping(name, Object.keys(rows[0])) : null;
+  const mapped = saved?.exact ? applyColumnMapping(rows, saved.mapping) : rows;
+  if (saved?.exact) DB.loadLog.push(`MAPPING: ${name} remembered (${describeMapping(saved.mapping)})`);
+  const shape = hasFareShape(mapped);
+  if (!shape.ok) throw new Error(`データ形式が不正です（出発地/到着地/運賃が見つかりません）。${shape.reason || ""}`);
+  return mapped;
+}
+
+function sampleValues(rows, header){
+  const out = [];
+  for (const r of rows){
+    const v = String(r[header] ?? "").trim();
+    if (v && !out.includes(v)) out.push(v);
+    if (out.length >= COLUMN_MAP_SAMPLES) break;
+  }
+  return out;
+}
+
+// seed: a mapping to start from (same file name, earlier header line); guesses fill the rest
+function openColumnMapper(job, seed){
+  job.guess = guessColumnRoles(job.headers);
+  job.mapping = Object.fromEntries(job.guess.map(g => [
+    g.header,
+    seed && Object.prototype.hasOwnProperty.call(seed, g.header) ? seed[g.header] : g.role,
+  ]));
+  window.__colMap = job;
+  renderColumnMapper();
+  const box = $("#colMap");
+  if (box) box.hidden = false;
+  setDbLoadMsg(`${job.name}: 列の対応を確認して「この対応で読み込む」を押してください。`);
+}
+
+function closeColumnMapper(){
+  window.__colMap = null;
+  const box = $("#colMap");
+  if (box) box.hidden = true;
+}
+
+function renderColumnMapper(){
+  const job = window.__colMap;
+  const tbody = $("#colMapTable tbody");
+  if (!job || !tbody) return;
+  const labelOf = new Map(COLUMN_ROLES.map(r => [r.role, r.label]));
+  safeText("#colMapTitle", `${job.name}（${job.rows.length}行・${job.headers.length}列）`);
+  tbody.innerHTML = job.guess.map((g, i) => {
+    const cur = job.mapping[g.header] || "";
+    const opts = [`<option value="">（使わない）</option>`]
+      .concat(COLUMN_ROLES.map(r => `<option value="${r.role}"${r.role === cur ? " selected" : ""}>${escapeHtml(r.label)}${r.required ? " *" : ""}</option>`))
+      .join("");
+    return `<tr>
+      <td>${escapeHtml(g.header)}</td>
+      <td class="sample">${escapeHtml(labelOf.get(g.role) || "不明")}</td>
+      <td><select data-col="${i}">${opts}</select></td>
+      <td class="sample">${sampleValues(job.rows, g.header).map(escapeHtml).join(" / ")}</td>
+    </tr>`;
+  }).join("");
+  renderColumnMapCheck();
+}
+
+function renderColumnMapCheck(){
+  const job = window.__colMap;
+  if (!job) return;
+  const chk = checkColumnMapping(job.rows, job.mapping);
+  const lines = chk.ok ? [`✅ 運賃${chk.fares}件を読み込めます（${job.rows.length}行中）`] : chk.errors.map(e => "❌ " + e);
+  for (const w of chk.warnings) lines.push("⚠ " + w);
+  safeText("#colMapMsg", lines.join(" / "));
+  const btn = $("#btnColMapApply");
+  if (btn) btn.disabled = !chk.ok;
+}
+
+async function applyColumnMapper(){
+  const job = window.__colMap;
+  if (!job) return;
+  if ($("#colMapRemember")?.checked) saveColumnMapping(job.name, job.headers, job.mapping);
+  closeColumnMapper();
+  DB.loadLog.push(`MAPPING: ${job.name} (${describeMapping(job.mapping)})`);
+  try{
+    await buildFromLocalRows(job, job.mapping);
+  } catch (e){
+    console.error(e);
+    setDbLoadMsg("❌ ローカルDB読み込み失敗: " + (e?.message || e));
+  }
+}
+
 // -----------------------------
 // Event wiring
 // -----------------------------
@@ -904,15 +1971,15 @@ $("#btnDatePlus1")?.addEventListener("click", (e) => {
   if (el) el.value = ymd(d);
 });
 
-
   $("#btnParse")?.addEventListener("click", () => {
-    const { legs, errors } = parseItineraryLines($("#itineraryText")?.value || "");
+    const { legs, errors } = parseItineraryLines($("#itineraryText")?.value || "", { coverage: fareCoverage(DB) });
     if (errors.length){
       safeText("#parseMsg", errors.slice(0, 8).join(" / "));
     } else {
       safeText("#parseMsg", `解析OK：${legs.length}件`);
     }
     window.__legs = legs;
+    window.__routeAlt = null;
     renderLegs();
     runSearch();
   });
@@ -927,42 +1994,70 @@ $("#btnDatePlus1")?.addEventListener("click", (e) => {
     const d = $("#legDate")?.value ? parseDateLoose($("#legDate").value) : null;
     const from = $("#fromSelect")?.value || "";
     const to = $("#toSelect")?.value || "";
-    const via1 = $("#via1Select")?.value || "";
-    const via2 = $("#via2Select")?.value || "";
+    const maxTransfers = Number($("#maxTransfersSelect")?.value || "0");
 
     if (!d || !from || !to){
       safeText("#parseMsg", "日付・出発地・到着地を指定してください。");
       return;
     }
 
-    const legsToAdd = [];
-
-    // If via specified, add both: direct candidate + segmented via legs (so you can compare)
-    if (via1 || via2){
-      legsToAdd.push({ date: d, from, to, raw: `${ymd(d)} ${from}→${to}（直行候補）`, tag: "direct" });
-
-      if (via1 && via2){
-        legsToAdd.push({ date: d, from, to: via1, raw: `${ymd(d)} ${from}→${via1}（経由①）`, tag: "via" });
-        legsToAdd.push({ date: d, from: via1, to: via2, raw: `${ymd(d)} ${via1}→${via2}（経由②）`, tag: "via" });
-        legsToAdd.push({ date: d, from: via2, to, raw: `${ymd(d)} ${via2}→${to}（経由③）`, tag: "via" });
-      } else if (via1){
-        legsToAdd.push({ date: d, from, to: via1, raw: `${ymd(d)} ${from}→${via1}（経由①）`, tag: "via" });
-        legsToAdd.push({ date: d, from: via1, to, raw: `${ymd(d)} ${via1}→${to}（経由②）`, tag: "via" });
-      } else if (via2){
-        legsToAdd.push({ date: d, from, to: via2, raw: `${ymd(d)} ${from}→${via2}（経由①）`, tag: "via" });
-        legsToAdd.push({ date: d, from: via2, to, raw: `${ymd(d)} ${via2}→${to}（経由②）`, tag: "via" });
+    // One leg per trip: the cheapest path (direct or via connections), never all candidates
+    const leg = { date: d, from, to, via: [] };
+    leg.raw = legToLine(leg);
+    window.__routeAlt = null;
+
+    if (maxTransfers > 0){
+      const found = findRoutes(DB, d, from, to, { maxTransfers, topK: 5 });
+      if (found.best){
+        leg.via = found.best.stops.slice(1, -1);
+        leg.raw = legToLine(leg);
       }
-    } else {
-      legsToAdd.push({ date: d, from, to, raw: `${ymd(d)} ${from}→${to}`, tag: "" });
+      window.__routeAlt = { ...found, maxTransfers, legIndex: window.__legs.length };
     }
 
-    window.__legs.push(...legsToAdd);
+    window.__legs.push(leg);
     renderLegs();
     runSearch();
   });
 
+  // Passengers: counts/names only change the split, not the fares
+  const onPaxChange = () => {
+    renderLegs();
+    renderGroupSummary();
+    saveState();
+  };
+  for (const t of PASSENGER_TYPES) $(paxInputId(t.key))?.addEventListener("change", onPaxChange);
+  $("#paxNames")?.addEventListener("change", onPaxChange);
+
+  // Place pickers (type-ahead) + area search
+  $("#fromFilter")?.addEventListener("input", () => applyPlaceFilter("#fromSelect", "#fromFilter", "（出発地を選択）"));
+  $("#toFilter")?.addEventListener("input", () => applyPlaceFilter("#toSelect", "#toFilter", "（到着地を選択）"));
+  ["#areaFrom", "#areaSelect", "#areaDate"].forEach(id => $(id)?.addEventListener("change", renderAreaSearch));
+  $("#areaTable")?.addEventListener("click", (e) => {
+    const to = e.target?.dataset?.to;
+    const res = window.__areaSearch;
+    if (!to || !res) return;
+    const leg = pushLeg(res.date, res.from, to);
+    safeText("#areaMsg", `旅程に追加しました：${leg.raw}`);
+  });
+
+  // Fare calendar
+  $("#calFrom")?.addEventListener("change", renderFareCalendar);
+  $("#calTo")?.addEventListener("change", renderFareCalendar);
+  $("#calMonth")?.addEventListener("change", renderFareCalendar);
+  $("#calPrev")?.addEventListener("click", () => shiftCalendarMonth(-1));
+  $("#calNext")?.addEventListener("click", () => shiftCalendarMonth(1));
+  $("#calSwap")?.addEventListener("click", () => {
+    const a = $("#calFrom");
+    const b = $("#calTo");
+    if (!a || !b) return;
+    [a.value, b.value] = [b.value, a.value];
+    renderFareCalendar();
+  });
+
   $("#btnResetLegs")?.addEventListener("click", () => {
     window.__legs = [];
+    window.__routeAlt = null;
     renderLegs();
     runSearch();
   });
@@ -978,20 +2073,122 @@ $("#btnDatePlus1")?.addEventListener("click", (e) => {
     }
   });
 
+  $("#btnShareLink")?.addEventListener("click", copyShareLink);
+
+  $("#policySelect")?.addEventListener("change", () => {
+    selectPolicy($("#policySelect").value);
+    runSearch();
+  });
+
+  // booking date: advance-purchase fares apply per lookup, so every fare view is refreshed
+  $("#bookingDate")?.addEventListener("change", () => {
+    DB.bookedOn = currentBookingDate();
+    runSearch();
+    renderFareCalendar();
+    renderAreaSearch();
+  });
+  $("#whatIfDate")?.addEventListener("change", renderBookingWhatIf);
+
+  // Export
+  $("#btnExportCsv")?.addEventListener("click", () => {
+    const t = exportTable();
+    if (!t.count){ safeText("#exportMsg", "出力する検索結果がありません。"); return; }
+    downloadText(`${exportFileStem()}.csv`, exportCSV(t), "text/csv;charset=utf-8");
+    safeText("#exportMsg", `CSVを出力しました（${t.count}行）。`);
+  });
+  $("#btnCopyTsv")?.addEventListener("click", copyResultsTSV);
+  $("#btnPrintReport")?.addEventListener("click", openExpenseReport);
+
+  $("#dbSourceSelect")?.addEventListener("change", async () => {
+    saveState();
+    try{
+      await loadDBRemote();
+    } catch (e){
+      console.error(e);
+      setDbLoadMsg("❌ DB読み込み失敗: " + (e?.message || e));
+      safeText("#dbMeta", "読み込み失敗");
+    }
+  });
+
+  // Dataset diff
+  $("#btnDiffRemote")?.addEventListener("click", async () => {
+    const path = ($("#diffPath")?.value || "").trim();
+    if (!path){ safeText("#diffMsg", "比較するファイルのパスを入力してください。"); return; }
+    try{
+      const got = await fetchTextFirstOk(remoteUrls(path));
+      if (looksLikeHTML(got.text)) throw new Error(`${path} がHTMLを返しています（SPA fallback等）`);
+      await loadDiffDataset(got.text, path.split("/").pop(), got.url);
+    } catch (e){
+      console.error(e);
+      safeText("#diffMsg", "❌ 比較データ読み込み失敗: " + (e?.message || e));
+    }
+  });
+  $("#btnDiffLocal")?.addEventListener("click", async () => {
+    const file = $("#diffFileInput")?.files?.[0];
+    if (!file){ safeText("#diffMsg", "比較するローカルファイルを選択してください（.csv / .tsv）。"); return; }
+    try{
+      await loadDiffDataset((await readLocalText(file)).text, `local:${file.name}`, "");
+    } catch (e){
+      console.error(e);
+      safeText("#diffMsg", "❌ 比較データ読み込み失敗: " + (e?.message || e));
+    }
+  });
+  ["#diffFrom", "#diffTo"].forEach(id => $(id)?.addEventListener("input", renderDiff));
+  $("#diffSwap")?.addEventListener("change", renderDiff);
+  $("#btnDiffCsv")?.addEventListener("click", () => {
+    if (!window.__diffResult){ safeText("#diffMsg", "先に比較データを読み込んでください。"); return; }
+    downloadText(`diff_${nowStamp().replace(/[-: ]/g, "")}.csv`, diffCSV(window.__diffResult), "text/csv;charset=utf-8");
+  });
+
+  $("#btnDownloadLint")?.addEventListener("click", () => {
+    if (!DB.lint) return;
+    const name = (DB.meta.source || "data").replace(/^local:/, "").replace(/[\\/:*?"<>|]/g, "_");
+    downloadText(`lint_${name}_${nowStamp().replace(/[-: ]/g, "")}.csv`, lintReportCSV(DB.lint), "text/csv;charset=utf-8");
+  });
+
+  // Alias manager
+  $("#aliasSearch")?.addEventListener("input", renderAliasManager);
+  $("#aliasFilter")?.addEventListener("change", renderAliasManager);
+  $("#btnAliasSave")?.addEventListener("click", () => {
+    saveAlias($("#aliasEditAlias")?.value, $("#aliasEditCanon")?.value, window.__aliasEditing);
+  });
+  $("#btnAliasCancel")?.addEventListener("click", () => setAliasForm("", "", null));
+  $("#btnAliasExport")?.addEventListener("click", exportAliasCSV);
+
   // Local file import
-  $("#btnLoadLocalDb")?.addEventListener("click", async () => {
+  $("#dbFileInput")?.addEventListener("change", renderSheetOptions);
+  $("#dbFileRole")?.addEventListener("change", renderSheetOptions);
+  const loadLocal = async (review) => {
     const inp = $("#dbFileInput");
     const file = inp?.files?.[0];
     if (!file){
-      setDbLoadMsg("ローカルファイルを選択してください（.csv / .tsv）。");
+      setDbLoadMsg("ローカルファイルを選択してください（.csv / .tsv / .xlsx）。");
       return;
     }
+    closeColumnMapper();
     try{
-      await loadDBFromLocalFile(file);
+      if ($("#dbFileRole")?.value === "aliases") await loadAliasesFromLocalFile(file);
+      else await loadDBFromLocalFile(file, !!$("#dbFileAsLayer")?.checked, review);
     } catch (e){
       console.error(e);
       setDbLoadMsg("❌ ローカルDB読み込み失敗: " + (e?.message || e));
     }
+  };
+  $("#btnLoadLocalDb")?.addEventListener("click", () => loadLocal(false));
+  $("#btnColumnMap")?.addEventListener("click", () => loadLocal(true));
+
+  // Column mapping step
+  $("#colMapTable")?.addEventListener("change", (e) => {
+    const job = window.__colMap;
+    const i = e.target?.dataset?.col;
+    if (!job || i === undefined) return;
+    job.mapping[job.headers[Number(i)]] = e.target.value;
+    renderColumnMapCheck();
+  });
+  $("#btnColMapApply")?.addEventListener("click", applyColumnMapper);
+  $("#btnColMapCancel")?.addEventListener("click", () => {
+    closeColumnMapper();
+    setDbLoadMsg("列の対応付けを取り消しました。");
   });
 }
 
@@ -1005,6 +2202,14 @@ async function boot(){
   const ld = $("#legDate");
   if (ld && !ld.value) ld.value = ymd(new Date());
   safeText("#topMeta", APP_VERSION);
+  registerServiceWorker();
+
+  renderPolicyOptions();
+
+  // Saved itinerary (URL hash wins over localStorage). Do not overwrite it until restored.
+  window.__restoring = true;
+  restoreState();
+  window.__restoring = false;
 
   renderLegs();
   runSearch();
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+/* Transport Fare Calculator - batch CLI
+ * Usage:
+ *   node cli.js --fares data/transport.csv [--fares campaign.csv ...] [--aliases data/place_aliases.csv]
+ *               --itinerary trip.txt [--format text|json|csv] [--out result.csv] [--policy cheapest|rules.json]
+ *               [--discounts discount_rules.json] [--booked YYYY-MM-DD]
+ * - Several --fares are layered: a later file overrides overlapping periods of earlier ones
+ * - Itinerary: the same text as the browser (`2025-08-21 東京→沖縄` per line),
+ *   or a CSV/TSV with 日付 / 出発地 / 到着地 (/ 経由) columns
+ * - --policy: a built-in selection policy id, or a fare_policy.json (its "default" policy is used)
+ * - --discounts: 往復割引 / 乗継割引 rules; adds the adjustments and the discounted total
+ * - --booked: booking date for 事前購入 (advance-purchase) fares, default today
+ * - Exit code: 0 = every leg priced, 1 = misses or unreadable lines, 2 = usage / file error
+ */
+const fs = require("fs");
+const path = require("path");
+const core = require("./core.js");
+
+const USAGE = `Usage: node cli.js --fares <fare.csv|tsv> [--fares <override.csv> ...] [--aliases <place_aliases.csv>]
+                   --itinerary <trip.txt|csv> [--format text|json|csv] [--out <file>] [--policy <id|fare_policy.json>]
+                   [--discounts <discount_rules.json>] [--booked <YYYY-MM-DD>]`;
+
+function parseArgs(argv){
+  const opts = { format: "text", fares: [] };
+  const keys = { "--fares": "fares", "--aliases": "aliases", "--itinerary": "itinerary", "--format": "format", "--out": "out", "--policy": "policy", "--discounts": "discounts", "--booked": "booked" };
+  for (let i=0; i<argv.length; i++){
+    const a = argv[i];
+    if (a === "-h" || a === "--help"){ opts.help = true; continue; }
+    const key = keys[a];
+    if (!key || argv[i+1] === undefined) throw new Error(`不明な引数: ${a}`);
+    if (key === "fares") opts.fares.push(argv[++i]);
+    else opts[key] = argv[++i];
+  }
+  if (!opts.help){
+    if (!opts.fares.length) throw new Error("--fares は必須です");
+    if (!opts.itinerary) throw new Error("--itinerary は必須です");
+    if (!["text","json","csv"].includes(opts.format)) throw new Error(`--format は text|json|csv: ${opts.format}`);
+    if (opts.booked && !core.parseDateLoose(opts.booked)) throw new Error(`--booked は YYYY-MM-DD: ${opts.booked}`);
+  }
+  return opts;
+}
+
+// UTF-8 / UTF-16 / Shift_JIS / EUC-JP (see core.decodeText)
+function readText(file){
+  return core.stripBOM(core.decodeText(fs.readFileSync(file)).text);
+}
+
+// --policy: built-in id, or a rules file -> its default policy
+function loadPolicy(arg){
+  if (!arg) return null;
+  if (arg.toLowerCase().endsWith(".json")){
+    const conf = core.parsePolicyConfig(readText(arg));
+    return conf.policies.find(p => p.id === conf.default);
+  }
+  const found = core.FARE_POLICIES.find(p => p.id === arg);
+  if (!found) throw new Error(`不明な --policy: ${arg}（${core.FARE_POLICIES.map(p => p.id).join(" / ")}）`);
+  return found;
+}
+
+const DATE_HEADERS = ["日付","搭乗日","出発日","date"];
+const VIA_HEADERS = ["経由","経由地","via"];
+
+// CSV/TSV itinerary -> parseItineraryLines() text, so both inputs share one validator
+function itineraryTableToText(text, name){
+  const rows = name.toLowerCase().endsWith(".tsv") ? core.parseTSV(text) : core.parseCSV(text);
+  const isHeader = (k, names) => names.some(n => core.normHeaderKey(k) === core.normHeaderKey(n));
+  const pick = (row, names) => {
+    for (const [k, v] of Object.entries(row)){
+      if (isHeader(k, names)) return v;
+    }
+    return "";
+  };
+  return rows.map(r => {
+    // date / via columns are taken out first: canonicalKey() reads 出発日 as the origin
+    const places = Object.fromEntries(Object.entries(r).filter(([k]) => !isHeader(k, DATE_HEADERS) && !isHeader(k, VIA_HEADERS)));
+    const rr = core.normalizeRowKeys(places);
+    const via = pick(r, VIA_HEADERS).split(/[・/,、]/).map(v => v.trim()).filter(Boolean);
+    return `${pick(r, DATE_HEADERS)} ${rr.from || ""}→${rr.to || ""}${via.length ? `（経由:${via.join("・")}）` : ""}`;
+  }).join("\n");
+}
+
+// Month/day dates take their year from the fare data when db is given (see core.inferYear)
+function loadItinerary(file, db){
+  const text = readText(file);
+  const ext = path.extname(file).toLowerCase();
+  const opts = db ? { coverage: core.fareCoverage(db) } : undefined;
+  return core.parseItineraryLines(ext === ".csv" || ext === ".tsv" ? itineraryTableToText(text, file) : text, opts);
+}
+
+function loadDiscountRules(file){
+  if (!file) return [];
+  const { rules, errors } = core.normalizeDiscountRules(JSON.parse(readText(file)));
+  if (errors.length) throw new Error(`${file}: ${errors.join(" / ")}`);
+  return rules;
+}
+
+function formatText(results, table, errors){
+  const lines = results.map(r => {
+    const route = core.routeLabel(core.legStops({ ...r.leg, from: r.from, to: r.to }));
+    if (!r.hit) return `${core.ymd(r.leg.date)}  ${route}  ${r.hasAnyRoute ? "期間外" : "未登録"}`;
+    const days = r.row.days ? `  [${r.row.days.raw}: ${r.dayMatch}]` : "";
+    const advance = r.row.advance ? `  [事前購入 ${r.row.advance.raw}: ${r.advanceMatch}]` : "";
+    return `${core.ymd(r.leg.date)}  ${route}  ${r.row.priceType}  ${core.money(r.row.fare)}  (${core.ymd(r.row.validFrom)}〜${core.ymd(r.row.validTo)})${days}${advance}`;
+  });
+  for (const e of errors) lines.push(`! ${e}`);
+  lines.push(`合計: ${core.money(table.total)}（ヒット ${table.includedCount}/${table.count}）`);
+  if (table.discounts?.adjustments.length){
+    for (const a of table.discounts.adjustments) lines.push(`割引: ${a.rule.label}  ${a.reason}  -${core.money(a.amount)}`);
+    lines.push(`割引後合計: ${core.money(table.discounts.discounted)}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+function main(argv){
+  let opts;
+  try{
+    opts = parseArgs(argv);
+  } catch (e){
+    process.stderr.write(`${e.message}\n${USAGE}\n`);
+    return 2;
+  }
+  if (opts.help){
+    process.stdout.write(USAGE + "\n");
+    return 0;
+  }
+
+  let db, legs, errors, discountRules;
+  try{
+    const layers = opts.fares.map((file, i) => ({
+      name: path.basename(file),
+      url: path.resolve(file),
+      rows: core.parseFareRowsFromText(readText(file), path.basename(file)).rows,
+      priority: i,
+    }));
+    const aliasRows = opts.aliases ? core.parseCSV(readText(opts.aliases)) : [];
+    db = core.buildFareDBFromLayers(layers, aliasRows);
+    db.policy = loadPolicy(opts.policy);
+    db.bookedOn = opts.booked ? core.parseDateLoose(opts.booked) : core.todayDate();
+    discountRules = loadDiscountRules(opts.discounts);
+    ({ legs, errors } = loadItinerary(opts.itinerary, db));
+  } catch (e){
+    process.stderr.write(`読み込み失敗: ${e.message}\n`);
+    return 2;
+  }
+
+  const { results, misses } = core.searchItinerary(db, legs);
+  const table = core.resultsTable(results, { discountRules });
+
+  let out;
+  if (opts.format === "json"){
+    out = JSON.stringify({
+      source: db.meta.source,
+      fares: db.meta.fares,
+      legs: results.map(core.resultJSON),
+      total: table.total,
+      ...(table.discounts ? {
+        discounted: table.discounts.discounted,
+        adjustments: table.discounts.adjustments.map(a => ({ rule: a.rule.id, label: a.rule.label, legs: a.legs, amount: a.amount, reason: a.reason })),
+      } : {}),
+      hits: table.includedCount,
+      misses: misses.length,
+      errors,
+    }, null, 2) + "\n";
+  } else if (opts.format === "csv"){
+    out = core.exportCSV(table);
+  } else {
+    out = formatText(results, table, errors);
+  }
+
+  if (opts.out) fs.writeFileSync(opts.out, out, "utf8");
+  else process.stdout.write(out);
+
+  for (const e of errors) process.stderr.write(`WARN: ${e}\n`);
+  return (misses.length || errors.length) ? 1 : 0;
+}
+
+if (require.main === module){
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, parseArgs, itineraryTableToText, loadItinerary, loadPolicy, loadDiscountRules };
@@ -0,0 +1,2734 @@
+/* Transport Fare Calculator - core
+ * DOM-free logic shared by the browser UI (app.js) and the Node CLI (cli.js)
+ * - Parses CSV/TSV fare sheets and alias sheets, builds the indexed fare DB
+ * - Searches fares by date (pickBest, reverse fallback, connections)
+ * - Browser: plain <script> defining globals / Node: require("./core.js")
+ */
+// -----------------------------
+// Normalization
+// -----------------------------
+function nowStamp(){
+  const d = new Date();
+  const s = d.toISOString().slice(0,19).replace("T"," ");
+  return s;
+}
+
+function stripBOM(s){
+  return (s ?? "").toString().replace(/^\uFEFF/, "");
+}
+
+function norm(s){
+  return (s ?? "").toString().trim()
+    .replace(/[\s\u3000]+/g,"")
+    .replace(/[‐‑–—−]/g,"-")
+    .toLowerCase();
+}
+
+// Place key: stronger than norm() (drops dots/brackets too)
+function normKey(s){
+  return norm(s)
+    .replace(/[・･]/g, "")
+    .replace(/[()（）\[\]【】]/g, "");
+}
+
+function normHeaderKey(k){
+  return stripBOM(k)
+    .replace(/[\u3000\s]+/g,"")
+    .replace(/[()（）\[\]【】]/g,"")
+    .replace(/[‐‑–—―ー]/g,"-")
+    .toLowerCase();
+}
+
+// Optional fare components, charged on top of the 運賃 column (which is then the base fare).
+// headers: substring matches (Japanese labels); exact: whole-header English names, since
+// "fare (tax incl.)" or "surcharge-free fare" is still the fare column
+const FARE_COMPONENTS = [
+  { key: "fuelSurcharge", label: "燃油サーチャージ", headers: ["燃油サーチャージ","燃油特別付加運賃","燃油"], exact: ["fuelsurcharge","fuel_surcharge","surcharge"] },
+  { key: "airportFee", label: "空港施設使用料", headers: ["空港施設使用料","旅客施設使用料","施設使用料"], exact: ["airportfee","airport_fee","facilitycharge","facility_charge"] },
+  { key: "tax", label: "消費税", headers: ["消費税","税額"], exact: ["consumptiontax","consumption_tax","tax"] },
+];
+
+// Passenger categories. fareKey: optional per-category fare column (adult uses 運賃 itself)
+const PASSENGER_TYPES = [
+  { key: "adult", label: "大人", fareKey: "fare", headers: [] },
+  { key: "child", label: "小児", fareKey: "fareChild", headers: ["小児運賃","子供運賃","こども運賃","childfare"] },
+  { key: "senior", label: "シニア", fareKey: "fareSenior", headers: ["シニア運賃","高齢者運賃","seniorfare"] },
+];
+
+// Whole-header matches checked before the substring guesses below ("valid_from" contains "from")
+const HEADER_EXACT = {
+  valid_from: "validFrom", validfrom: "validFrom", valid_to: "validTo", validto: "validTo",
+  note: "rule", notes: "rule", memo: "rule", remarks: "rule", メモ: "rule",
+  ...Object.fromEntries(FARE_COMPONENTS.flatMap(c => c.exact.map(h => [h, c.key]))),
+};
+
+function canonicalKey(k){
+  const nk = normHeaderKey(k);
+  if (Object.prototype.hasOwnProperty.call(HEADER_EXACT, nk)) return HEADER_EXACT[nk];
+
+  const has = (arr) => arr.some(x => nk.includes(normHeaderKey(x)));
+
+  // "到着地_都道府県" must not become a second 到着地 column
+  if (has(["都道府県","prefecture"])) return has(["出発","発地","from","origin"]) ? "fromPref" : "toPref";
+  if (has(["適用曜日","曜日","適用日","dayofweek","days"])) return "days";
+  if (has(["事前購入","事前予約","予約期限","購入期限","advance"])) return "advance";
+
+  // components and per-passenger fares first: "燃油特別付加運賃" / "小児運賃" must not become the fare column
+  for (const c of FARE_COMPONENTS){
+    if (has(c.headers)) return c.key;
+  }
+  for (const t of PASSENGER_TYPES){
+    if (t.headers.length && has(t.headers)) return t.fareKey;
+  }
+
+  if (has(["出発地","発地","出発","from","origin","出発場所","発駅","乗車地"])) return "from";
+  if (has(["到着地","着地","到着","to","destination","到着場所","着駅","降車地"])) return "to";
+  if (has(["運賃","金額","料金","fare","price","運賃額"])) return "fare";
+  if (has(["価格タイプ","価格ﾀｲﾌﾟ","シーズン","season","type","区分"])) return "priceType";
+
+  if (has(["搭乗期間開始","搭乗開始","boardfrom","validfrom","搭乗期間from"])) return "wholeFrom";
+  if (has(["搭乗期間終了","搭乗終了","boardto","validto","搭乗期間to"])) return "wholeTo";
+
+  // If data provides explicit valid-from/valid-to columns
+  if (has(["価格適用期間開始","適用開始","periodfrom","farefrom","価格適用開始"])) return "validFrom";
+  if (has(["価格適用期間終了","適用終了","periodto","fareto","価格適用終了"])) return "validTo";
+
+  // String range (e.g., "2025-06-01〜2025-06-30 / ...")
+  if (has(["価格適用期間","適用期間","validrange","period","range"])) return "validRange";
+
+  // Alias mapping sheet
+  if (has(["alias","別名","入力","候補","表記ゆれ","表記揺れ","synonym"])) return "alias";
+  if (has(["canonical","正規","正規名","統一名","正式名称"])) return "canonical";
+
+  // Optional
+  if (has(["根拠","備考","rule","注記","参照"])) return "rule";
+
+  return nk; // fallback
+}
+
+function normalizeRowKeys(row){
+  const out = {};
+  for (const [k,v] of Object.entries(row || {})){
+    const ck = canonicalKey(k);
+    const val = (v ?? "").toString().trim();
+    if (!(ck in out) || (out[ck] === "" && val !== "")) out[ck] = val;
+  }
+  return out;
+}
+
+// -----------------------------
+// Column mapping (user-confirmed header roles)
+// -----------------------------
+// Roles a fare sheet column can take; header: a name canonicalKey() maps back to the role,
+// so mapped rows flow through normalizeRowKeys / lint / hasFareShape unchanged.
+const COLUMN_ROLES = [
+  { role: "from", label: "出発地", header: "出発地", required: true },
+  { role: "to", label: "到着地", header: "到着地", required: true },
+  { role: "fare", label: "運賃", header: "運賃", required: true },
+  { role: "priceType", label: "価格タイプ", header: "価格タイプ" },
+  { role: "validRange", label: "価格適用期間（範囲）", header: "価格適用期間" },
+  { role: "validFrom", label: "価格適用期間 開始", header: "価格適用期間開始" },
+  { role: "validTo", label: "価格適用期間 終了", header: "価格適用期間終了" },
+  { role: "wholeFrom", label: "搭乗期間 開始", header: "搭乗期間開始" },
+  { role: "wholeTo", label: "搭乗期間 終了", header: "搭乗期間終了" },
+  ...FARE_COMPONENTS.map(c => ({ role: c.key, label: c.label, header: c.headers[0] })),
+  ...PASSENGER_TYPES.filter(t => t.headers.length).map(t => ({ role: t.fareKey, label: `${t.label}運賃`, header: t.headers[0] })),
+  { role: "days", label: "適用曜日・祝日", header: "適用曜日" },
+  { role: "advance", label: "事前購入（日前）", header: "事前購入" },
+  { role: "fromPref", label: "出発地の都道府県", header: "出発地_都道府県" },
+  { role: "toPref", label: "到着地の都道府県", header: "到着地_都道府県" },
+  { role: "rule", label: "備考・根拠", header: "備考" },
+];
+
+// Normalized header line, the key a confirmed mapping is remembered under
+function headerSignature(headers){
+  return (headers || []).map(h => normHeaderKey(h)).join("|");
+}
+
+// Headers -> [{ header, role }] as canonicalKey() guesses them ("" = not a fare column / already taken)
+function guessColumnRoles(headers){
+  const taken = new Set();
+  return (headers || []).map(header => {
+    const role = canonicalKey(header);
+    if (!COLUMN_ROLES.some(r => r.role === role) || taken.has(role)) return { header, role: "" };
+    taken.add(role);
+    return { header, role };
+  });
+}
+
+// mapping: { header: role | "" (drop) }; headers not in the mapping are kept as they are
+function applyColumnMapping(rows, mapping){
+  if (!mapping) return rows;
+  const headerOf = new Map(COLUMN_ROLES.map(r => [r.role, r.header]));
+  return (rows || []).map(row => {
+    const out = {};
+    for (const [k, v] of Object.entries(row)){
+      if (!Object.prototype.hasOwnProperty.call(mapping, k)) out[k] = v;
+      else if (headerOf.has(mapping[k])) out[headerOf.get(mapping[k])] = v;
+    }
+    return out;
+  });
+}
+
+// Can the mapped sheet be searched? { ok, errors, warnings, fares } (fares: rows with a usable period)
+function checkColumnMapping(rows, mapping){
+  const roles = Object.values(mapping || {}).filter(Boolean);
+  const errors = [];
+  const warnings = [];
+  for (const r of COLUMN_ROLES){
+    if (r.required && !roles.includes(r.role)) errors.push(`「${r.label}」の列を選んでください`);
+  }
+  const twice = COLUMN_ROLES.filter(r => roles.filter(x => x === r.role).length > 1);
+  for (const r of twice) errors.push(`「${r.label}」が複数の列に割り当てられています`);
+  if (roles.includes("validFrom") !== roles.includes("validTo")) warnings.push("価格適用期間は開始と終了の両方が必要です");
+  if (roles.includes("wholeFrom") !== roles.includes("wholeTo")) warnings.push("搭乗期間は開始と終了の両方が必要です");
+
+  const mapped = applyColumnMapping(rows, mapping);
+  if (!errors.length && !hasFareShape(mapped).ok) errors.push("出発地/到着地/運賃が読み取れません");
+  const fares = errors.length ? 0 : normalizeFareRows(mapped, "").length;
+  if (!errors.length && !fares) errors.push("適用期間を読み取れる行がありません（期間の列と日付の書式を確認してください）");
+  return { ok: !errors.length, errors, warnings, fares };
+}
+
+// -----------------------------
+// Parsing helpers
+// -----------------------------
+function parseDateLoose(s){
+  const t = (s ?? "").toString().trim();
+  if (!t) return null;
+
+  // YYYY-MM-DD
+  let m = t.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (m) return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+
+  // YYYY/MM/DD
+  m = t.match(/^(\d{4})\/(\d{1,2})\/(\d{1,2})$/);
+  if (m) return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+
+  // M/D or M-D (assume current year)
+  m = t.match(/^(\d{1,2})[\/\-](\d{1,2})$/);
+  if (m) {
+    const y = new Date().getFullYear();
+    return new Date(y, Number(m[1]) - 1, Number(m[2]));
+  }
+
+  return null;
+}
+
+function ymd(d){
+  if (!d) return "";
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2,"0");
+  const day = String(d.getDate()).padStart(2,"0");
+  return `${y}-${m}-${day}`;
+}
+
+function money(n){
+  if (n == null || !Number.isFinite(n)) return "-";
+  return Math.trunc(n).toLocaleString("ja-JP");
+}
+
+// Place names, itinerary text and sheet values end up in innerHTML (and a shared #it= link can carry any of them)
+function escapeHtml(s){
+  return (s ?? "").toString()
+    .replace(/&/g,"&amp;")
+    .replace(/</g,"&lt;")
+    .replace(/>/g,"&gt;")
+    .replace(/"/g,"&quot;")
+    .replace(/'/g,"&#39;");
+}
+
+function parseTSV(text){
+  const lines = (text ?? "").replace(/\r/g,"").split("\n").filter(l => l.trim() !== "");
+  if (!lines.length) return [];
+  const header = lines[0].split("\t").map(h => h.trim());
+  const rows = [];
+  for (let i=1; i<lines.length; i++){
+    const cols = lines[i].split("\t");
+    const r = {};
+    for (let j=0; j<header.length; j++){
+      r[header[j]] = (cols[j] ?? "").trim();
+    }
+    rows.push(r);
+  }
+  return rows;
+}
+
+// opts.onProgress({ stage: "parse", done, total }) is called every PROGRESS_CHARS characters (background parsing)
+const PROGRESS_CHARS = 1 << 18;
+
+function parseCSV(text, opts){
+  // Minimal CSV parser (handles quotes + commas). Enough for this dataset.
+  const onProgress = opts?.onProgress;
+  const rows = [];
+  let cur = [];
+  let cell = "";
+  let inQ = false;
+
+  const pushCell = () => { cur.push(cell); cell = ""; };
+  const pushRow  = () => { rows.push(cur); cur = []; };
+
+  for (let i=0; i<text.length; i++){
+    if (onProgress && i % PROGRESS_CHARS === 0) onProgress({ stage: "parse", done: i, total: text.length });
+    const ch = text[i];
+    const next = text[i+1];
+
+    if (inQ){
+      if (ch === '"' && next === '"'){ cell += '"'; i++; }
+      else if (ch === '"'){ inQ = false; }
+      else { cell += ch; }
+      continue;
+    }
+
+    if (ch === '"'){ inQ = true; continue; }
+    if (ch === ','){ pushCell(); continue; }
+    if (ch === '\n'){ pushCell(); pushRow(); continue; }
+    if (ch === '\r'){ continue; }
+
+    cell += ch;
+  }
+  if (cell.length || cur.length) { pushCell(); pushRow(); }
+
+  return gridToRows(rows);
+}
+
+// [[cell, ...], ...] with a header line first -> [{ header: value }] (blank lines skipped)
+function gridToRows(grid){
+  if (!grid.length) return [];
+  const header = grid[0].map(h => stripBOM((h ?? "").toString()).trim());
+  const out = [];
+
+  for (let i=1; i<grid.length; i++){
+    if (grid[i].every(x => (x ?? "").toString().trim() === "")) continue;
+    const obj = {};
+    for (let j=0; j<header.length; j++){
+      obj[header[j]] = (grid[i][j] ?? "").toString().trim();
+    }
+    out.push(obj);
+  }
+  return out;
+}
+
+function looksLikeHTML(text){
+  const t = (text ?? "").toString().trim().slice(0, 300).toLowerCase();
+  return t.startsWith("<!doctype") || t.startsWith("<html") || t.includes("<head") || t.includes("<body");
+}
+
+// -----------------------------
+// Text encoding detection
+// -----------------------------
+// Japanese Excel saves CSV as Shift_JIS (CP932) unless told otherwise; reading it as UTF-8 garbles the headers.
+// Order: BOM, UTF-16 without BOM (NUL-byte pattern), strict UTF-8, then whichever of
+// Shift_JIS / EUC-JP decodes without errors and reads most like Japanese text.
+const JA_TEXT = /[\u3041-\u3096\u30a1-\u30fa\u30fc\u4e00-\u9fff\u3001\u3002\uff01-\uff5e]/g;
+
+function tryDecode(bytes, label){
+  try{
+    return new TextDecoder(label, { fatal: true }).decode(bytes);
+  } catch {
+    return null;
+  }
+}
+
+// bytes -> { text, encoding } (encoding: "UTF-8" | "UTF-8 (BOM)" | "UTF-16LE" | "UTF-16BE" | "Shift_JIS (CP932)" | "EUC-JP")
+function decodeText(bytes){
+  const u8 = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const decode = (label, encoding, from) => ({ text: new TextDecoder(label).decode(u8.subarray(from || 0)), encoding });
+
+  if (u8[0] === 0xEF && u8[1] === 0xBB && u8[2] === 0xBF) return decode("utf-8", "UTF-8 (BOM)", 3);
+  if (u8[0] === 0xFF && u8[1] === 0xFE) return decode("utf-16le", "UTF-16LE", 2);
+  if (u8[0] === 0xFE && u8[1] === 0xFF) return decode("utf-16be", "UTF-16BE", 2);
+
+  // ASCII-heavy UTF-16 leaves every other byte NUL
+  const sample = u8.subarray(0, 4096);
+  let evenNul = 0, oddNul = 0;
+  for (let i=0; i<sample.length; i++) if (sample[i] === 0) (i % 2 ? oddNul++ : evenNul++);
+  if (oddNul > sample.length / 8 && evenNul < oddNul / 4) return decode("utf-16le", "UTF-16LE");
+  if (evenNul > sample.length / 8 && oddNul < evenNul / 4) return decode("utf-16be", "UTF-16BE");
+
+  const utf8 = tryDecode(u8, "utf-8");
+  if (utf8 !== null) return { text: utf8, encoding: "UTF-8" };
+
+  const score = (t) => t === null ? -1 : (t.match(JA_TEXT) || []).length;
+  const sjis = tryDecode(u8, "shift_jis");
+  const euc = tryDecode(u8, "euc-jp");
+  if (sjis === null && euc === null) return decode("utf-8", "UTF-8（不正なバイトあり）");
+  return score(euc) > score(sjis) ? { text: euc, encoding: "EUC-JP" } : { text: sjis, encoding: "Shift_JIS (CP932)" };
+}
+
+// -----------------------------
+// Excel (.xlsx) reader
+// -----------------------------
+// No library: the workbook is a ZIP of XML parts. Entries are inflated with DecompressionStream("deflate-raw")
+// (browsers, workers and Node 20.12+; Node 18 has no "deflate-raw"). Only what fare/alias sheets need is read: cell text, numbers,
+// booleans and date-formatted serials (written as YYYY-MM-DD like the CSV exports).
+const XLSX_DATE_FORMATS = new Set([14,15,16,17,18,19,20,21,22,27,28,29,30,31,32,33,34,35,36,45,46,47,50,51,52,53,54,55,56,57,58]);
+
+// ZIP central directory -> Map(name -> { method, data }) (data still compressed)
+function readZipEntries(bytes){
+  const u8 = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const view = new DataView(u8.buffer, u8.byteOffset, u8.byteLength);
+  let eocd = -1;
+  for (let i = u8.length - 22; i >= Math.max(0, u8.length - 22 - 0xffff); i--){
+    if (view.getUint32(i, true) === 0x06054b50){ eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error("xlsx（ZIP）形式ではありません");
+
+  const entries = new Map();
+  const count = view.getUint16(eocd + 10, true);
+  const names = new TextDecoder();
+  let p = view.getUint32(eocd + 16, true);
+  for (let n=0; n<count; n++){
+    if (view.getUint32(p, true) !== 0x02014b50) throw new Error("ZIPの目次が壊れています");
+    const method = view.getUint16(p + 10, true);
+    const size = view.getUint32(p + 20, true);
+    const nameLen = view.getUint16(p + 28, true);
+    const local = view.getUint32(p + 42, true);
+    const name = names.decode(u8.subarray(p + 46, p + 46 + nameLen));
+    const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    entries.set(name, { method, data: u8.subarray(start, start + size) });
+    p += 46 + nameLen + view.getUint16(p + 30, true) + view.getUint16(p + 32, true);
+  }
+  return entries;
+}
+
+async function zipEntryText(entries, name){
+  const e = entries.get(name);
+  if (!e) return null;
+  if (e.method === 0) return new TextDecoder().decode(e.data);
+  if (e.method !== 8) throw new Error(`${name}: 未対応の圧縮形式です（method=${e.method}）`);
+  const stream = new Blob([e.data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Response(stream).text();
+}
+
+function xmlUnescape(s){
+  return s.replace(/&(lt|gt|quot|apos|amp|#x[0-9a-f]+|#\d+);/gi, (m, e) => {
+    if (e[0] === "#") return String.fromCodePoint(e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+    return { lt: "<", gt: ">", quot: "\"", apos: "'", amp: "&" }[e.toLowerCase()];
+  });
+}
+
+function xmlAttr(tag, name){
+  const m = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return m ? xmlUnescape(m[1]) : null;
+}
+
+// Text of a shared string / inline string: all <t> runs, without furigana (<rPh>)
+function xmlRunsText(xml){
+  return Array.from(xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, "").matchAll(/<t\b[^>]*>([\s\S]*?)<\/t>/g), m => xmlUnescape(m[1])).join("");
+}
+
+// "AB12" -> 27 (0-based column)
+function xlsxColumn(ref){
+  let n = 0;
+  for (const ch of (ref.match(/^[A-Z]+/) || [""])[0]) n = n * 26 + ch.charCodeAt(0) - 64;
+  return n - 1;
+}
+
+// Excel serial day -> YYYY-MM-DD (1900 system incl. its phantom 1900-02-29, or 1904)
+function xlsxSerialDate(serial, date1904){
+  const days = Math.floor(serial) + (date1904 ? 1462 : 0);
+  const d = new Date(Date.UTC(1899, 11, days < 61 && !date1904 ? 31 : 30) + days * 86400000);
+  return d.toISOString().slice(0, 10);
+}
+
+// Style index -> true when its number format shows a date
+function xlsxDateStyles(stylesXml){
+  if (!stylesXml) return [];
+  const custom = new Map();
+  for (const m of stylesXml.matchAll(/<numFmt\b[^>]*>/g)){
+    const code = (xmlAttr(m[0], "formatCode") || "").replace(/"[^"]*"|\[[^\]]*\]|\\./g, "");
+    custom.set(Number(xmlAttr(m[0], "numFmtId")), /[ymd]/i.test(code));
+  }
+  const xfs = (stylesXml.match(/<cellXfs\b[\s\S]*?<\/cellXfs>/) || [""])[0];
+  return Array.from(xfs.matchAll(/<xf\b[^>]*>/g), m => {
+    const id = Number(xmlAttr(m[0], "numFmtId") || 0);
+    return custom.has(id) ? custom.get(id) : XLSX_DATE_FORMATS.has(id);
+  });
+}
+
+// .xlsx bytes -> { sheets: [{ name, grid: [[cell text, ...], ...] }] } in workbook order
+async function readXlsx(bytes){
+  const entries = readZipEntries(bytes);
+  const workbook = await zipEntryText(entries, "xl/workbook.xml");
+  if (!workbook) throw new Error("xlsx のブック情報（xl/workbook.xml）が見つかりません");
+
+  const rels = new Map();
+  for (const m of ((await zipEntryText(entries, "xl/_rels/workbook.xml.rels")) || "").matchAll(/<Relationship\b[^>]*>/g)){
+    const target = xmlAttr(m[0], "Target") || "";
+    rels.set(xmlAttr(m[0], "Id"), target.startsWith("/") ? target.slice(1) : "xl/" + target);
+  }
+  const shared = Array.from(((await zipEntryText(entries, "xl/sharedStrings.xml")) || "").matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>/g), m => xmlRunsText(m[1]));
+  const dateStyles = xlsxDateStyles(await zipEntryText(entries, "xl/styles.xml"));
+  const date1904 = /<workbookPr\b[^>]*date1904="(1|true)"/.test(workbook);
+
+  const sheets = [];
+  for (const m of workbook.matchAll(/<sheet\b[^>]*>/g)){
+    const xml = await zipEntryText(entries, rels.get(xmlAttr(m[0], "r:id")));
+    if (xml === null) continue;
+    const grid = [];
+    for (const row of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)){
+      const cells = [];
+      let next = 0;
+      for (const c of (row[2] || "").matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)){
+        const tag = "<c" + c[1] + ">";
+        const body = c[2] || "";
+        const ref = xmlAttr(tag, "r");
+        const col = ref ? xlsxColumn(ref) : next;
+        next = col + 1;
+        const type = xmlAttr(tag, "t");
+        const v = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+        let text = "";
+        if (type === "s") text = shared[Number(v)] ?? "";
+        else if (type === "inlineStr") text = xmlRunsText(body);
+        else if (type === "b") text = v === "1" ? "TRUE" : "FALSE";
+        else if (v !== undefined){
+          text = xmlUnescape(v);
+          const num = Number(text);
+          if (type !== "str" && type !== "e" && Number.isFinite(num)){
+            text = dateStyles[Number(xmlAttr(tag, "s") || 0)] ? xlsxSerialDate(num, date1904) : String(num);
+          }
+        }
+        while (cells.length < col) cells.push("");
+        cells[col] = text;
+      }
+      const r = Number(xmlAttr("<row" + row[1] + ">", "r"));
+      while (r > 0 && grid.length < r - 1) grid.push([]);
+      grid.push(cells);
+    }
+    sheets.push({ name: xmlAttr(m[0], "name") || `Sheet${sheets.length + 1}`, grid });
+  }
+  if (!sheets.length) throw new Error("xlsx にシートがありません");
+  return { sheets };
+}
+
+// .xlsx bytes -> [{ name, rows }] with rows shaped like parseCSV() output (first line = header)
+async function workbookSheets(bytes){
+  const { sheets } = await readXlsx(bytes);
+  return sheets.map(s => ({ name: s.name, rows: gridToRows(s.grid) }));
+}
+
+// "2025-06-01〜2025-06-30 / 2025-09-01〜2025-10-25"
+function parsePeriodRanges(periodStr){
+  const t = (periodStr ?? "").toString().trim();
+  if (!t) return [];
+
+  const parts = t.split("/").map(p => p.trim()).filter(Boolean);
+  const ranges = [];
+
+  for (const p of parts){
+    // allow YYYY-MM-DD or YYYY/MM/DD
+    const m = p.match(/(\d{4}[\/-]\d{1,2}[\/-]\d{1,2})\s*[〜～~\-–—―]\s*(\d{4}[\/-]\d{1,2}[\/-]\d{1,2})/);
+    if (!m) continue;
+    const a = parseDateLoose(m[1]);
+    const b = parseDateLoose(m[2]);
+    if (a && b) ranges.push({ from: a, to: b, raw: p });
+  }
+  return ranges;
+}
+
+// Alias sheet: 別名 / 正規名 columns (see canonicalKey)
+function hasAliasShape(rows){
+  if (!Array.isArray(rows) || rows.length === 0) return { ok:false, reason:"no rows" };
+  const n = normalizeRowKeys(rows[0]);
+  const ok = n.alias !== undefined && n.canonical !== undefined;
+  return ok ? { ok:true } : { ok:false, reason:`headers=${Object.keys(rows[0] || {}).join(",")}` };
+}
+
+function hasFareShape(rows){
+  if (!Array.isArray(rows) || rows.length === 0) return { ok:false, reason:"no rows" };
+  const n = normalizeRowKeys(rows[0]);
+  const ok = (n.from && n.to && (n.fare !== undefined));
+  return ok ? { ok:true } : { ok:false, reason:`headers=${Object.keys(rows[0] || {}).join(",")}` };
+}
+
+// -----------------------------
+// Alias handling
+// -----------------------------
+const BUILTIN_ALIASES = [
+  ["羽田","東京"],
+  ["成田","東京"],
+  ["那覇","沖縄"],
+];
+
+const ALIAS_ORIGINS = { auto: "自動", builtin: "組み込み", file: "ファイル", session: "学習" };
+
+// Every alias mapping with its origin, in precedence order: place names and their 都道府県/空港-less forms (auto),
+// BUILTIN_ALIASES, then alias sheet rows (file, line = sheet line). File rows override; the others never do.
+function aliasEntries(places, aliasRows){
+  const list = [];
+  for (const p of places) list.push({ alias: p, canonical: p, origin: "auto" });
+  for (const p of places){
+    const variants = [
+      p.replace(/(都|道|府|県)$/,""),
+      p.replace(/空港$/,""),
+    ].filter(v => v && v !== p);
+    for (const v of variants) list.push({ alias: v, canonical: p, origin: "auto" });
+  }
+  for (const [alias, canon] of BUILTIN_ALIASES){
+    if (places.includes(canon)) list.push({ alias, canonical: canon, origin: "builtin" });
+  }
+  (aliasRows || []).forEach((a, i) => {
+    const aa = normalizeRowKeys(a);
+    const alias = (aa.alias ?? "").toString().trim();
+    const canon = (aa.canonical ?? "").toString().trim();
+    if (alias && canon) list.push({ alias, canonical: canon, origin: "file", line: i + 2 });
+  });
+  return list;
+}
+
+// Winning entry per normKey (see aliasEntries for precedence); entries of other origins pointing at unknown places never win
+function activeAliasEntries(entries, places){
+  const m = new Map();
+  for (const e of entries){
+    const k = normKey(e.alias);
+    if (!k) continue;
+    if (e.origin === "file") m.set(k, e);
+    else if (!m.has(k) && places.includes(e.canonical)) m.set(k, e);
+  }
+  return m;
+}
+
+function aliasMap(places, aliasRows){
+  return new Map(Array.from(activeAliasEntries(aliasEntries(places, aliasRows), places), ([k, e]) => [k, e.canonical]));
+}
+
+function buildAliasDefaultsFromPlaces(places){
+  return aliasMap(places, []);
+}
+
+// Alias manager rows: entries (plus extra ones, e.g. session aliases) with
+//   key (normKey), active (wins for its key), missing (canonical not in the fare data),
+//   conflict (same key, different canonicals), duplicate (another sheet row with the same key and canonical)
+function aliasReport(places, aliasRows, extra){
+  const entries = [...aliasEntries(places, aliasRows), ...(extra || [])];
+  const active = new Set(activeAliasEntries(entries, places).values());
+  const byKey = new Map();
+  for (const e of entries){
+    const k = normKey(e.alias);
+    if (!byKey.has(k)) byKey.set(k, []);
+    byKey.get(k).push(e);
+  }
+  const rows = entries.map(e => {
+    const key = normKey(e.alias);
+    const same = byKey.get(key) || [];
+    return {
+      ...e,
+      key,
+      active: active.has(e),
+      missing: !places.includes(e.canonical),
+      conflict: new Set(same.map(x => x.canonical)).size > 1,
+      duplicate: e.origin === "file" && same.some(x => x !== e && x.origin === "file" && x.canonical === e.canonical),
+    };
+  });
+  const counts = {
+    total: rows.length,
+    file: rows.filter(r => r.origin === "file").length,
+    missing: rows.filter(r => r.missing).length,
+    conflict: new Set(rows.filter(r => r.conflict).map(r => r.key)).size,
+    duplicate: rows.filter(r => r.duplicate).length,
+  };
+  return { rows, counts };
+}
+
+// place_aliases.csv (UTF-8 with BOM, like exportCSV) from [{ alias, canonical }]
+function aliasCSV(rows){
+  const lines = [["alias","canonical"], ...rows.map(r => [r.alias, r.canonical])].map(cols => cols.map(csvCell).join(","));
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+function resolvePlace(db, name){
+  const k = normKey(name);
+  if (!k) return "";
+  return db.aliasToCanon.get(k) || (name ?? "").toString().trim();
+}
+
+// -----------------------------
+// Fuzzy place matching ("did you mean")
+// -----------------------------
+const KANA_ROMAJI = {
+  あ:"a", い:"i", う:"u", え:"e", お:"o",
+  か:"ka", き:"ki", く:"ku", け:"ke", こ:"ko", が:"ga", ぎ:"gi", ぐ:"gu", げ:"ge", ご:"go",
+  さ:"sa", し:"shi", す:"su", せ:"se", そ:"so", ざ:"za", じ:"ji", ず:"zu", ぜ:"ze", ぞ:"zo",
+  た:"ta", ち:"chi", つ:"tsu", て:"te", と:"to", だ:"da", ぢ:"ji", づ:"zu", で:"de", ど:"do",
+  な:"na", に:"ni", ぬ:"nu", ね:"ne", の:"no",
+  は:"ha", ひ:"hi", ふ:"fu", へ:"he", ほ:"ho", ば:"ba", び:"bi", ぶ:"bu", べ:"be", ぼ:"bo",
+  ぱ:"pa", ぴ:"pi", ぷ:"pu", ぺ:"pe", ぽ:"po",
+  ま:"ma", み:"mi", む:"mu", め:"me", も:"mo",
+  や:"ya", ゆ:"yu", よ:"yo",
+  ら:"ra", り:"ri", る:"ru", れ:"re", ろ:"ro",
+  わ:"wa", ゐ:"i", ゑ:"e", を:"o", ん:"n", ゔ:"vu",
+  ぁ:"a", ぃ:"i", ぅ:"u", ぇ:"e", ぉ:"o",
+};
+const SMALL_Y = { ゃ:"a", ゅ:"u", ょ:"o" };
+
+// Katakana -> hiragana -> Hepburn romaji. Kanji and other characters pass through.
+function kanaToRomaji(s){
+  const hira = (s ?? "").toString().replace(/[\u30A1-\u30F6]/g, c => String.fromCharCode(c.charCodeAt(0) - 0x60));
+  let out = "";
+  for (let i=0; i<hira.length; i++){
+    const c = hira[i];
+    const next = hira[i+1];
+    const r = KANA_ROMAJI[c];
+    if (r && r.endsWith("i") && r.length > 1 && SMALL_Y[next]){
+      const stem = /^(sh|ch|j)/.test(r) ? r.slice(0, -1) : r.slice(0, -1) + "y";
+      out += stem + SMALL_Y[next];
+      i++;
+      continue;
+    }
+    if (c === "っ"){
+      const nr = KANA_ROMAJI[next];
+      out += nr ? nr[0] : "";
+      continue;
+    }
+    if (c === "ー"){
+      const v = out.match(/[aiueo]$/);
+      out += v ? v[0] : "";
+      continue;
+    }
+    out += r ?? c;
+  }
+  return out;
+}
+
+// Comparison key: width/case folded, kana as romaji, Hepburn/Kunrei and long vowels merged
+function fuzzyKey(s){
+  const t = normKey((s ?? "").toString().normalize("NFKC"))
+    .replace(/(空港|airport)$/,"");
+  return kanaToRomaji(t)
+    .replace(/sh/g,"s").replace(/ch/g,"t").replace(/ts/g,"t")
+    .replace(/j/g,"z").replace(/f/g,"h")
+    .replace(/ou|oo/g,"o").replace(/uu/g,"u").replace(/ii/g,"i").replace(/aa/g,"a").replace(/ee/g,"e")
+    .replace(/m(?=[bp])/g,"n");
+}
+
+// Optimal string alignment distance (Levenshtein + adjacent swaps)
+function editDistance(a, b){
+  const n = a.length;
+  const m = b.length;
+  if (!n) return m;
+  if (!m) return n;
+  const d = Array.from({ length: n + 1 }, (_, i) => [i, ...new Array(m).fill(0)]);
+  for (let j=1; j<=m; j++) d[0][j] = j;
+  for (let i=1; i<=n; i++){
+    for (let j=1; j<=m; j++){
+      const cost = a[i-1] === b[j-1] ? 0 : 1;
+      d[i][j] = Math.min(d[i-1][j] + 1, d[i][j-1] + 1, d[i-1][j-1] + cost);
+      if (i > 1 && j > 1 && a[i-1] === b[j-2] && a[i-2] === b[j-1]) d[i][j] = Math.min(d[i][j], d[i-2][j-2] + 1);
+    }
+  }
+  return d[n][m];
+}
+
+function isKnownPlace(db, name){
+  return db.places.includes(resolvePlace(db, name));
+}
+
+// Every alias/place spelling -> canonical, keyed for fuzzy comparison (cached on the db)
+function fuzzyIndex(db){
+  if (db.fuzzy) return db.fuzzy;
+  const list = [];
+  const seen = new Set();
+  const push = (spelling, canonical) => {
+    const key = fuzzyKey(spelling);
+    if (!key || seen.has(key + "||" + canonical)) return;
+    seen.add(key + "||" + canonical);
+    list.push({ key, spelling, canonical, code: /^[a-z]{3}$/.test(spelling) });
+  };
+  for (const p of db.places) push(p, p);
+  for (const [alias, canonical] of db.aliasToCanon) push(alias, canonical);
+  db.fuzzy = list;
+  return list;
+}
+
+// Closest canonical places for an unresolved name: [{ canonical, spelling, distance, reason }]
+function suggestPlaces(db, name, opts){
+  const limit = opts?.limit ?? 3;
+  const raw = (name ?? "").toString().normalize("NFKC").trim();
+  const key = fuzzyKey(raw);
+  if (!key) return [];
+
+  const asCode = /^[A-Za-z]{3}$/.test(raw);
+  const best = new Map(); // canonical -> suggestion
+  const offer = (e, distance, reason) => {
+    const cur = best.get(e.canonical);
+    if (!cur || distance < cur.distance) best.set(e.canonical, { canonical: e.canonical, spelling: e.spelling, distance, reason });
+  };
+
+  for (const e of fuzzyIndex(db)){
+    if (!db.places.includes(e.canonical)) continue;
+    if (asCode){
+      // airport codes: only against other codes, one letter off at most
+      if (e.code){
+        const dist = editDistance(key, e.key);
+        if (dist <= 1) offer(e, dist, "空港コード");
+      }
+      continue;
+    }
+    if (e.key === key){ offer(e, 0, "読み/表記ゆれ"); continue; }
+    if (Math.min(key.length, e.key.length) >= 2 && (e.key.includes(key) || key.includes(e.key))){
+      offer(e, 0.5, "部分一致");
+      continue;
+    }
+    const dist = editDistance(key, e.key);
+    const allowed = Math.max(1, Math.floor(Math.max(key.length, e.key.length) / 3));
+    if (dist <= allowed) offer(e, dist, "入力ミス候補");
+  }
+
+  return Array.from(best.values())
+    .sort((a,b)=> a.distance - b.distance || a.canonical.localeCompare(b.canonical, "ja"))
+    .slice(0, limit);
+}
+
+// -----------------------------
+// Prefectures and regions
+// -----------------------------
+// JIS order; the usual 8 regions (沖縄県 with 九州)
+const REGIONS = [
+  { name: "北海道", prefs: ["北海道"] },
+  { name: "東北", prefs: ["青森県","岩手県","宮城県","秋田県","山形県","福島県"] },
+  { name: "関東", prefs: ["茨城県","栃木県","群馬県","埼玉県","千葉県","東京都","神奈川県"] },
+  { name: "中部", prefs: ["新潟県","富山県","石川県","福井県","山梨県","長野県","岐阜県","静岡県","愛知県"] },
+  { name: "近畿", prefs: ["三重県","滋賀県","京都府","大阪府","兵庫県","奈良県","和歌山県"] },
+  { name: "中国", prefs: ["鳥取県","島根県","岡山県","広島県","山口県"] },
+  { name: "四国", prefs: ["徳島県","香川県","愛媛県","高知県"] },
+  { name: "九州・沖縄", prefs: ["福岡県","佐賀県","長崎県","熊本県","大分県","宮崎県","鹿児島県","沖縄県"] },
+];
+const PREFECTURES = REGIONS.flatMap(r => r.prefs);
+
+// "沖縄" / "沖縄県" -> "沖縄県", "京都" -> "京都府"; names outside the 47 are kept as written
+function prefectureName(s){
+  const v = (s ?? "").toString().normalize("NFKC").replace(/[\s\u3000]+/g, "");
+  if (!v || PREFECTURES.includes(v)) return v;
+  return PREFECTURES.find(p => p !== "北海道" && p.slice(0, -1) === v) || v;
+}
+
+function regionOf(pref){
+  return REGIONS.find(r => r.prefs.includes(pref))?.name || "";
+}
+
+// Places for pickers: [{ region, pref, places }] in JIS order, places without a prefecture last (pref "")
+function placeGroups(db, places){
+  const byPref = new Map();
+  for (const p of places || db.places){
+    const pref = db.placePrefs?.get(p) || "";
+    if (!byPref.has(pref)) byPref.set(pref, []);
+    byPref.get(pref).push(p);
+  }
+  const order = (pref) => {
+    const i = PREFECTURES.indexOf(pref);
+    return i >= 0 ? i : pref ? PREFECTURES.length : PREFECTURES.length + 1;
+  };
+  return Array.from(byPref.entries())
+    .sort((a,b)=> order(a[0]) - order(b[0]) || a[0].localeCompare(b[0], "ja"))
+    .map(([pref, list]) => ({ region: regionOf(pref), pref, places: list.slice().sort((a,b)=>a.localeCompare(b, "ja")) }));
+}
+
+// Type-ahead: place name, alias / reading (fuzzyKey), prefecture or region contains the query
+function filterPlaces(db, query){
+  const q = normKey((query ?? "").toString().normalize("NFKC"));
+  if (!q) return db.places.slice();
+  const fk = fuzzyKey(query);
+  const hit = new Set();
+  for (const e of fuzzyIndex(db)){
+    if (normKey(e.spelling).includes(q) || (fk && e.key.includes(fk))) hit.add(e.canonical);
+  }
+  return db.places.filter(p => {
+    if (hit.has(p)) return true;
+    const pref = db.placePrefs?.get(p) || "";
+    return !!pref && (normKey(pref).includes(q) || normKey(regionOf(pref)).includes(q));
+  });
+}
+
+// area: a prefecture ("沖縄県" / "沖縄") or a region name ("九州・沖縄")
+function areaPlaces(db, area){
+  const a = (area ?? "").toString().trim();
+  if (!a) return [];
+  const region = REGIONS.find(r => r.name === a);
+  const pref = prefectureName(a);
+  return db.places.filter(p => {
+    const pp = db.placePrefs?.get(p) || "";
+    return region ? region.prefs.includes(pp) : pp === pref;
+  });
+}
+
+// Direct fares from one place to every place of an area on a date, cheapest first
+function cheapestToArea(db, date, from, area){
+  const f = resolvePlace(db, from);
+  const places = areaPlaces(db, area).filter(p => normKey(p) !== normKey(f));
+  const hits = [];
+  const misses = [];
+  for (const to of places){
+    const r = findFare(db, date, f, to);
+    (r.hit ? hits : misses).push(r);
+  }
+  hits.sort((a,b)=> a.row.fare - b.row.fare || a.to.localeCompare(b.to, "ja"));
+  return { from: f, area, places, hits, misses, best: hits[0] || null };
+}
+
+// -----------------------------
+// Core search
+// -----------------------------
+function inRange(d, a, b){
+  const x = d.getTime();
+  return x >= a.getTime() && x <= b.getTime();
+}
+
+// -----------------------------
+// Route interval index (date -> rows valid that day, O(log n))
+// -----------------------------
+// The validity windows of one route cut the timeline at every validFrom and validTo+1ms;
+// rows[i] holds the rows valid on [starts[i], starts[i+1]), in route order so ranking ties break as before.
+function buildIntervalIndex(rows){
+  const valid = (rows || []).filter(r => r.validFrom instanceof Date && r.validTo instanceof Date
+    && Number.isFinite(r.validFrom.getTime()) && Number.isFinite(r.validTo.getTime()));
+  const edges = new Set();
+  for (const r of valid){
+    edges.add(r.validFrom.getTime());
+    edges.add(r.validTo.getTime() + 1);
+  }
+  const starts = Array.from(edges).sort((a,b)=>a-b);
+  const segs = starts.map(() => []);
+  for (const r of valid){
+    const end = r.validTo.getTime() + 1;
+    for (let i = segmentAt(starts, r.validFrom.getTime()); i >= 0 && starts[i] < end; i++) segs[i].push(r);
+  }
+  return { starts, rows: segs };
+}
+
+// Last i with starts[i] <= t (-1: before the first window)
+function segmentAt(starts, t){
+  let lo = 0, hi = starts.length - 1, at = -1;
+  while (lo <= hi){
+    const mid = (lo + hi) >> 1;
+    if (starts[mid] <= t){ at = mid; lo = mid + 1; }
+    else hi = mid - 1;
+  }
+  return at;
+}
+
+function intervalLookup(index, date){
+  const i = segmentAt(index.starts, date.getTime());
+  return i < 0 ? [] : index.rows[i];
+}
+
+// Rows of one route (key: from||to) that may apply on date; falls back to the whole list without an index
+function routeRowsOn(db, key, date){
+  const index = db.routeIndex?.get(key);
+  if (index && date instanceof Date) return intervalLookup(index, date);
+  return db.routeMap.get(key) || [];
+}
+
+// -----------------------------
+// Selection policy (which applicable fare wins)
+// -----------------------------
+// rules are compared in order; the first rule that tells two candidates apart decides.
+//   narrowest: shorter validity window first
+//   priceType: order of policy.priceTypes (unlisted types after listed ones)
+//   cheapest:  lower fare first (always appended as the last tie-break)
+// "days" / "advance" first: a 土日祝 / 平日 row or an advance-purchase fare the booking qualifies for
+// beats an unconditional row of the same route
+const FARE_POLICIES = [
+  { id: "default", label: "期間が短い運賃 → ピーク → 安い順（標準）", rules: ["days","advance","narrowest","priceType","cheapest"], priceTypes: ["ピーク"] },
+  { id: "cheapest", label: "適用できる最安運賃", rules: ["days","advance","cheapest","narrowest"], priceTypes: [] },
+  { id: "regular", label: "通常優先（ピーク期間中はピーク）", rules: ["days","advance","priceType","narrowest","cheapest"], priceTypes: ["ピーク","通常"] },
+];
+
+const POLICY_RULES = {
+  days: {
+    cmp: (a, b) => (b.days ? 1 : 0) - (a.days ? 1 : 0),
+    why: (a) => `曜日・祝日の条件つき運賃（${a.days.raw}）`,
+  },
+  // deeper tier first: booked 80 days ahead, 75日前 beats 28日前
+  advance: {
+    cmp: (a, b) => (b.advance ? b.advance.min : -1) - (a.advance ? a.advance.min : -1),
+    why: (a) => `事前購入の運賃（${a.advance.raw}）`,
+  },
+  narrowest: {
+    cmp: (a, b) => daySpan(a.validFrom, a.validTo) - daySpan(b.validFrom, b.validTo),
+    why: (a, b) => `適用期間が短い（${daySpan(a.validFrom, a.validTo) + 1}日 < ${daySpan(b.validFrom, b.validTo) + 1}日）`,
+  },
+  priceType: {
+    cmp: (a, b, p) => priceTypeRank(p, a.priceType) - priceTypeRank(p, b.priceType),
+    why: (a, b) => `価格タイプの優先順（${a.priceType} > ${b.priceType}）`,
+  },
+  cheapest: {
+    cmp: (a, b) => a.fare - b.fare,
+    why: (a, b) => `運賃が安い（${money(a.fare)} < ${money(b.fare)}）`,
+  },
+};
+
+function priceTypeRank(policy, type){
+  const i = (policy.priceTypes || []).indexOf(type);
+  return i < 0 ? Infinity : i;
+}
+
+// Loose policy object (rules file / UI) -> { id, label, rules, priceTypes } with known rules only
+function normalizePolicy(p, fallbackId){
+  const rules = (Array.isArray(p?.rules) ? p.rules : []).map(String).filter(r => POLICY_RULES[r]);
+  if (!rules.includes("cheapest")) rules.push("cheapest");
+  const id = (p?.id ?? fallbackId ?? "custom").toString();
+  return {
+    id,
+    label: (p?.label ?? id).toString(),
+    rules,
+    priceTypes: (Array.isArray(p?.priceTypes) ? p.priceTypes : []).map(t => t.toString().trim()).filter(Boolean),
+  };
+}
+
+// fare_policy.json: { "default": "<id>", "policies": [{ id, label, rules, priceTypes }] }
+function parsePolicyConfig(text){
+  const conf = JSON.parse(stripBOM(text));
+  const list = Array.isArray(conf) ? conf : conf?.policies;
+  if (!Array.isArray(list) || !list.length) throw new Error("policies がありません");
+  const policies = list.map((p, i) => normalizePolicy(p, `policy${i + 1}`));
+  const def = conf?.default && policies.some(p => p.id === conf.default) ? conf.default : policies[0].id;
+  return { policies, default: def };
+}
+
+// Applicable rows ranked by policy (default: FARE_POLICIES[0]).
+// reason: why ranked[0] beat ranked[1] ("" when there is no competitor)
+// matched: row -> dayConditionMatch() for the rows with a day condition
+// advance: row -> advanceMatch() for the advance-purchase rows (bookedOn: booking date; without one they never apply)
+function rankFares(rows, date, policy, bookedOn){
+  const p = policy || FARE_POLICIES[0];
+  const matched = new Map();
+  const advance = new Map();
+  const cands = (rows || []).filter(r => {
+    if (!(r.validFrom && r.validTo && inRange(date, r.validFrom, r.validTo))) return false;
+    if (r.days){
+      const why = dayConditionMatch(r.days, date);
+      if (why === null) return false;
+      matched.set(r, why);
+    }
+    if (r.advance){
+      const why = advanceMatch(r.advance, bookedOn, date);
+      if (why === null) return false;
+      advance.set(r, why);
+    }
+    return true;
+  });
+  const order = (a, b) => {
+    for (const rule of p.rules){
+      const c = POLICY_RULES[rule].cmp(a, b, p);
+      if (c) return c;
+    }
+    return 0;
+  };
+  cands.sort(order);
+
+  let reason = "";
+  if (cands.length > 1){
+    const rule = p.rules.find(r => POLICY_RULES[r].cmp(cands[0], cands[1], p));
+    reason = rule ? POLICY_RULES[rule].why(cands[0], cands[1]) : "同順位（先頭を採用）";
+  }
+  return { ranked: cands, reason, matched, advance };
+}
+
+function pickBest(rows, date, policy, bookedOn){
+  return rankFares(rows, date, policy, bookedOn).ranked[0] || null;
+}
+
+// Hits also carry candidates (all applicable rows, winner first), reason (see rankFares)
+// dayMatch (why the winner's 適用曜日 condition holds, "" for an every-day row)
+// and advanceMatch (the winner's 事前購入 window vs db.bookedOn, "" without one)
+function findFare(db, date, from, to){
+  const f = resolvePlace(db, from);
+  const t = resolvePlace(db, to);
+
+  const keyFT = normKey(f) + "||" + normKey(t);
+  const keyTF = normKey(t) + "||" + normKey(f);
+
+  const hasAnyRoute = db.routeMap.has(keyFT) || db.routeMap.has(keyTF);
+
+  let rank = rankFares(routeRowsOn(db, keyFT, date), date, db.policy, db.bookedOn);
+  if (rank.ranked.length){
+    return { hit:true, row:rank.ranked[0], from:f, to:t, tried:[`${f}→${t}`], hasAnyRoute, usedReverse:false, candidates:rank.ranked, reason:rank.reason, dayMatch:rank.matched.get(rank.ranked[0]) || "", advanceMatch:rank.advance.get(rank.ranked[0]) || "" };
+  }
+
+  rank = rankFares(routeRowsOn(db, keyTF, date), date, db.policy, db.bookedOn);
+  if (rank.ranked.length){
+    // Reverse-direction fallback is allowed, but we do not display any note in the UI.
+    return { hit:true, row:rank.ranked[0], from:f, to:t, tried:[`${f}→${t}`, `${t}→${f}`], hasAnyRoute, usedReverse:true, candidates:rank.ranked, reason:rank.reason, dayMatch:rank.matched.get(rank.ranked[0]) || "", advanceMatch:rank.advance.get(rank.ranked[0]) || "" };
+  }
+
+  return { hit:false, row:null, from:f, to:t, tried:[`${f}→${t}`, `${t}→${f}`], hasAnyRoute };
+}
+
+// -----------------------------
+// Route optimizer (connections)
+// -----------------------------
+// Undirected: findFare() may price a hop from the reverse-direction rows.
+function buildPlaceGraph(db){
+  const adj = new Map();
+  const link = (a, b) => {
+    if (!a || !b || a === b) return;
+    if (!adj.has(a)) adj.set(a, new Set());
+    adj.get(a).add(b);
+  };
+  for (const row of (db.faresRows || [])){
+    const a = resolvePlace(db, row.from);
+    const b = resolvePlace(db, row.to);
+    link(a, b);
+    link(b, a);
+  }
+  return adj;
+}
+
+// Collapse per-hop results into one fare row (sum of fares, overlap of windows)
+function composeHopRow(hops, from, to){
+  const rows = hops.map(h => h.row);
+  const types = Array.from(new Set(rows.map(r => r.priceType || "-")));
+  return {
+    from,
+    to,
+    priceType: types.join("+"),
+    fare: rows.reduce((s, r) => s + r.fare, 0),
+    validFrom: new Date(Math.max(...rows.map(r => r.validFrom.getTime()))),
+    validTo: new Date(Math.min(...rows.map(r => r.validTo.getTime()))),
+    source: Array.from(new Set(rows.map(r => r.source).filter(Boolean))).join(" + "),
+    ...(rows.some(r => r.components) ? { components: sumFareParts(rows) } : {}),
+    hops: rows,
+  };
+}
+
+// stops: [from, via..., to] -> same shape as findFare(), plus hops[]
+function findPathFare(db, date, stops){
+  const list = (stops || []).filter(Boolean);
+  if (list.length <= 2) return { ...findFare(db, date, list[0], list[1]), hops: [] };
+
+  const hops = [];
+  for (let i=0; i<list.length-1; i++) hops.push(findFare(db, date, list[i], list[i+1]));
+
+  const f = resolvePlace(db, list[0]);
+  const t = resolvePlace(db, list[list.length-1]);
+  const tried = hops.flatMap(h => h.tried);
+
+  if (!hops.every(h => h.hit)){
+    return { hit:false, row:null, from:f, to:t, tried, hasAnyRoute: hops.every(h => h.hit || h.hasAnyRoute), hops };
+  }
+  return {
+    hit:true,
+    row: composeHopRow(hops, f, t),
+    from:f,
+    to:t,
+    tried,
+    hasAnyRoute:true,
+    usedReverse: hops.some(h => h.usedReverse),
+    hops,
+  };
+}
+
+// Cheapest paths from -> to on a date, up to maxTransfers connections.
+// Each hop is priced by findFare() (pickBest + reverse fallback).
+function findRoutes(db, date, from, to, opts){
+  const maxTransfers = Math.max(0, Number(opts?.maxTransfers ?? 2));
+  const topK = Math.max(1, Number(opts?.topK ?? 5));
+
+  const f = resolvePlace(db, from);
+  const t = resolvePlace(db, to);
+  const found = [];
+  if (!f || !t || f === t) return { from:f, to:t, best:null, routes:[], searched:0 };
+
+  const hopCache = new Map();
+  const hopFare = (a, b) => {
+    const k = a + "||" + b;
+    if (!hopCache.has(k)) hopCache.set(k, findFare(db, date, a, b));
+    return hopCache.get(k);
+  };
+
+  const path = [f];
+  const hops = [];
+  const walk = (cur, total) => {
+    if (cur === t){
+      found.push({ stops: path.slice(), hops: hops.slice(), fare: total });
+      return;
+    }
+    if (hops.length >= maxTransfers + 1) return;
+    for (const nx of (db.placeGraph.get(cur) || [])){
+      if (path.includes(nx)) continue;
+      const res = hopFare(cur, nx);
+      if (!res.hit) continue;
+      path.push(nx);
+      hops.push(res);
+      walk(nx, total + res.row.fare);
+      path.pop();
+      hops.pop();
+    }
+  };
+  walk(f, 0);
+
+  // cheapest first, then fewer connections
+  found.sort((a,b)=> a.fare - b.fare || a.hops.length - b.hops.length);
+  return { from:f, to:t, best: found[0] || null, routes: found.slice(0, topK), searched: found.length };
+}
+
+// -----------------------------
+// Fare calendar (one route over a month)
+// -----------------------------
+// Every day of year/month (1-12) priced by findFare() (policy + reverse fallback, direct only).
+// cheapest marks the lowest hit fare(s) when the month has more than one fare; bands merge consecutive days with the same price type and fare.
+function fareCalendar(db, from, to, year, month){
+  const days = [];
+  let hasAnyRoute = false;
+  const last = new Date(year, month, 0).getDate();
+  for (let day=1; day<=last; day++){
+    const date = new Date(year, month - 1, day);
+    const res = findFare(db, date, from, to);
+    hasAnyRoute = res.hasAnyRoute;
+    days.push({ date, hit: res.hit, row: res.row, usedReverse: !!res.usedReverse, cheapest: false });
+  }
+
+  const fares = days.filter(x => x.hit).map(x => x.row.fare);
+  const minFare = fares.length ? Math.min(...fares) : null;
+  const maxFare = fares.length ? Math.max(...fares) : null;
+  for (const x of days) x.cheapest = x.hit && minFare < maxFare && x.row.fare === minFare;
+
+  const bands = [];
+  for (const x of days){
+    const key = x.hit ? `${x.row.priceType}||${x.row.fare}` : "";
+    const prev = bands[bands.length - 1];
+    if (prev && prev.key === key){
+      prev.to = x.date;
+      prev.days++;
+      continue;
+    }
+    bands.push({ key, from: x.date, to: x.date, days: 1, hit: x.hit, priceType: x.hit ? x.row.priceType : null, fare: x.hit ? x.row.fare : null });
+  }
+
+  return {
+    from: resolvePlace(db, from),
+    to: resolvePlace(db, to),
+    year,
+    month,
+    days,
+    minFare,
+    maxFare,
+    hasAnyRoute,
+    bands: bands.map(({ key, ...b }) => b),
+  };
+}
+
+// -----------------------------
+// Itinerary parsing
+// -----------------------------
+const ERA_BASE = { "令和": 2018, "平成": 1988, "昭和": 1925, R: 2018, H: 1988, S: 1925 };
+const WEEKDAYS_JA = "日月火水木金土";
+const WEEKDAYS_EN = ["sun","mon","tue","wed","thu","fri","sat"];
+
+// Calendar date or null (rejects 2/30 instead of rolling over)
+function makeDate(y, m, d){
+  const dt = new Date(y, m - 1, d);
+  return (dt.getFullYear() === y && dt.getMonth() === m - 1 && dt.getDate() === d) ? dt : null;
+}
+
+function addDaysTo(d, n){
+  const dt = new Date(d);
+  dt.setDate(dt.getDate() + n);
+  return dt;
+}
+
+// Full-width digits/latin/":" "/" "." "-" -> ASCII (leaves （）and place names alone)
+function asciiDigits(s){
+  return s.replace(/[０-９Ａ-Ｚａ-ｚ：／．－]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0));
+}
+
+// Leading date of an itinerary line.
+// -> { date, rest } or { error, token }. prevDate anchors 翌日 / 同日 / N日後.
+function parseLeadingDate(line, prevDate){
+  let m = line.match(/^(同日|当日|翌々日|翌日|前日|(\d{1,2})日後)/);
+  if (m){
+    if (!prevDate) return { error: "基準になる前の行の日付がありません", token: m[0] };
+    const shift = m[2] ? Number(m[2]) : ({ 同日: 0, 当日: 0, 翌日: 1, 翌々日: 2, 前日: -1 })[m[1]];
+    return withWeekday(addDaysTo(prevDate, shift), line.slice(m[0].length), m[0]);
+  }
+
+  // 令和7年8月22日 / R7.8.22 / 令和元年…
+  m = line.match(/^(令和|平成|昭和|[RHS])\s*(\d{1,2}|元)\s*[年.\/-]\s*(\d{1,2})\s*[月.\/-]\s*(\d{1,2})\s*日?/);
+  if (m){
+    const y = ERA_BASE[m[1]] + (m[2] === "元" ? 1 : Number(m[2]));
+    const d = makeDate(y, Number(m[3]), Number(m[4]));
+    if (!d) return { error: "存在しない日付です", token: m[0] };
+    return withWeekday(d, line.slice(m[0].length), m[0]);
+  }
+
+  // 2025-08-22 / 2025/8/22 / 2025.8.22 / 2025年8月22日
+  m = line.match(/^(\d{4})\s*[年.\/-]\s*(\d{1,2})\s*[月.\/-]\s*(\d{1,2})\s*日?/);
+  if (m){
+    const d = makeDate(Number(m[1]), Number(m[2]), Number(m[3]));
+    if (!d) return { error: "存在しない日付です", token: m[0] };
+    return withWeekday(d, line.slice(m[0].length), m[0]);
+  }
+
+  // 8/22 / 8-22 / 8月22日 (no year: resolved by inferYear())
+  m = line.match(/^(\d{1,2})\s*(?:月\s*(\d{1,2})\s*日|[\/-](\d{1,2}))/);
+  if (m){
+    const mo = Number(m[1]);
+    const day = Number(m[2] ?? m[3]);
+    if (!makeDate(2024, mo, day)) return { error: "存在しない日付です", token: m[0] };
+    const rest = line.slice(m[0].length);
+    const w = readWeekday(rest);
+    return { md: { mo, day, weekday: w?.want }, token: m[0] + (w ? w.text : ""), rest: w ? rest.slice(w.len) : rest };
+  }
+
+  const token = line.split(/\s+/)[0];
+  return { error: "日付が読み取れません", token };
+}
+
+// Optional "(金)" / "金曜日" / "(Fri)" right after a date -> { want: 0..6, len, text }
+function readWeekday(rest){
+  const m = rest.match(/^\s*(?:[(（]\s*([日月火水木金土]|sun|mon|tue|wed|thu|fri|sat)[a-z]*\.?(?:曜日?)?\s*[)）]|([日月火水木金土])曜日?)/i);
+  if (!m) return null;
+  const w = m[1] ?? m[2];
+  const want = WEEKDAYS_JA.includes(w) ? WEEKDAYS_JA.indexOf(w) : WEEKDAYS_EN.indexOf(w.toLowerCase());
+  return { want, len: m[0].length, text: m[0].trimStart() };
+}
+
+// A written weekday must match a written date
+function withWeekday(date, rest, token){
+  const w = readWeekday(rest);
+  if (!w) return { date, rest };
+  if (date.getDay() === w.want) return { date, rest: rest.slice(w.len) };
+  return { error: `曜日が日付と一致しません（${ymd(date)}は${WEEKDAYS_JA[date.getDay()]}曜日）`, token: token + w.text };
+}
+
+// Year for a month/day written without one. Candidates around the previous leg (or today) are narrowed by:
+//   weekday (if written) -> after the previous leg -> inside the fare data -> today or later (first leg only)
+// A narrowing step that would leave nothing is skipped. -> { date, reason } or null (weekday fits no year)
+function inferYear(md, ctx){
+  const today = ctx?.today ? new Date(ctx.today) : new Date();
+  today.setHours(0, 0, 0, 0);
+  const prev = ctx?.prevDate || null;
+  const cov = ctx?.coverage || null;
+
+  const base = (prev || today).getFullYear();
+  let cands = [base - 1, base, base + 1, base + 2].map(y => makeDate(y, md.mo, md.day)).filter(Boolean);
+  const reasons = [];
+  if (md.weekday !== undefined){
+    cands = cands.filter(c => c.getDay() === md.weekday);
+    if (!cands.length) return null;
+    reasons.push("曜日");
+  }
+
+  const steps = [];
+  if (prev) steps.push(["前の旅程の後", c => c >= prev]);
+  if (cov) steps.push(["運賃データの期間内", c => inRange(c, cov.from, cov.to)]);
+  if (!prev) steps.push(["今日以降", c => c >= today]);
+  let ordered = false;
+  for (const [why, ok] of steps){
+    const next = cands.filter(ok);
+    if (!next.length) continue;
+    cands = next;
+    reasons.push(why);
+    if (why !== "運賃データの期間内") ordered = true;
+  }
+
+  // after a lower bound take the earliest; otherwise the one closest to today
+  const dist = (c) => Math.abs(c - today);
+  const date = ordered ? cands[0] : cands.slice().sort((a,b)=>dist(a) - dist(b))[0];
+  return { date, reason: reasons.join("・") || "今日に最も近い年" };
+}
+
+// Overall validity window of a fare DB -> { from, to } or null
+function fareCoverage(db){
+  let from = null;
+  let to = null;
+  for (const r of (db?.faresRows || [])){
+    if (!from || r.validFrom < from) from = r.validFrom;
+    if (!to || r.validTo > to) to = r.validTo;
+  }
+  return from ? { from, to } : null;
+}
+
+// Times ("10:15発", "10:15-12:45") and flight numbers ("JL903", "jl903", "NH 91便") carry no fare information
+const ITINERARY_NOISE = [
+  /\d{1,2}:\d{2}\s*[発着]?(?:\s*(?:->|→|-|〜|~)\s*\d{1,2}:\d{2}\s*[発着]?)?/g,
+  /\b[A-Z]{2,3}\s?\d{1,4}\s*便?(?![0-9])/gi,
+  /\d{1,4}\s*便/g,
+];
+
+function stripItineraryNoise(s){
+  return ITINERARY_NOISE.reduce((acc, re) => acc.replace(re, " "), s);
+}
+
+// Lines that are a pasted table header (日付 / 出発地 / 到着地 …)
+function isItineraryHeader(line){
+  return /^(日付|搭乗日|出発日|date)(?=[\s,|]|$)/i.test(line) && !/\d/.test(line);
+}
+
+// One itinerary per line: "<date> A→B[→C…][（経由:X・Y）][（搭乗者:名前・名前）]".
+// A chain A→B→C becomes legs A→B and B→C on the same date; the （経由:…） form stays one trip.
+// opts: { coverage: fareCoverage(db), today } for month/day dates (see inferYear); such legs carry yearInferred.
+// errors: "N行目: <reason>「<fragment>」"
+function parseItineraryLines(text, opts){
+  const lines = (text ?? "").toString().split(/\r?\n/);
+  const legs = [];
+  const errors = [];
+  let prevDate = null;
+
+  lines.forEach((rawLine, i) => {
+    const line = rawLine.trim();
+    if (!line || isItineraryHeader(line)) return;
+    const fail = (reason, frag) => errors.push(`${i + 1}行目: ${reason}「${frag}」`);
+
+    const dt = parseLeadingDate(asciiDigits(line), prevDate);
+    if (dt.error){ fail(dt.error, dt.token); return; }
+    let yearInferred = "";
+    if (dt.md){
+      const inf = inferYear(dt.md, { prevDate, coverage: opts?.coverage, today: opts?.today });
+      if (!inf){ fail("曜日に合う年が見つかりません", dt.token); return; }
+      dt.date = inf.date;
+      yearInferred = inf.reason;
+    }
+
+    // trailing "（経由:沖縄・石垣）" (connections of one trip) and "（搭乗者:田中・佐藤）", either order (see legToLine)
+    let rest = stripItineraryNoise(dt.rest.replace(/^[\s,、|]+/, ""));
+    let via = [];
+    let viaToken = "";
+    let travelers = null;
+    for (let mv; (mv = rest.match(/[（(]\s*(経由|搭乗者)\s*[:：]\s*([^）)]*)[）)]\s*$/)); ){
+      const names = mv[2].split(/[・,、]/).map(v => v.trim()).filter(Boolean);
+      if (mv[1] === "経由"){ via = names; viaToken = mv[0].trim(); }
+      else travelers = names;
+      rest = rest.slice(0, mv.index);
+    }
+
+    // unify arrows
+    const s = rest.trim()
+      .replace(/->|[→⇒⇨➡＞>]/g,"->")
+      .replace(/～/g,"〜");
+
+    // arrows between places, or table cells (tab / | / spaces) when there are none;
+    // cells emptied by the noise above (時刻 / 便名 columns) are dropped, an empty place between arrows is an error
+    const arrows = /->|〜|~|-/.test(s);
+    const parts = arrows ? s.split(/\s*(?:->|〜|~|-)\s*/) : s.split(/\s*[\t|]\s*|\s+/);
+    const stops = parts.map(p => p.replace(/^[|\s]+|[|\s]+$/g, "").replace(/(.+?)[発着]$/, "$1")).filter(p => arrows || p);
+
+    const empty = stops.findIndex(p => !p);
+    if (stops.length >= 2 && empty >= 0){ fail(empty === 0 ? "出発地が空です" : "到着地が空です", rest.trim()); return; }
+    if (stops.length < 2){ fail("出発地/到着地が読み取れません", rest.trim() || line); return; }
+    if (via.length && stops.length > 2){ fail("経由の注記は出発地→到着地の2地点の行でのみ使えます", viaToken); return; }
+
+    for (let k=0; k<stops.length-1; k++){
+      const leg = { date: new Date(dt.date), from: stops[k], to: stops[k+1], via: stops.length > 2 ? [] : via, raw: line };
+      if (yearInferred) leg.yearInferred = yearInferred;
+      if (travelers?.length) leg.travelers = travelers.slice();
+      legs.push(leg);
+    }
+    prevDate = dt.date;
+  });
+
+  return { legs, errors };
+}
+
+// Inverse of parseItineraryLines() for one leg
+function legToLine(leg){
+  const via = (leg.via || []).length ? `（経由:${leg.via.join("・")}）` : "";
+  const pax = (leg.travelers || []).length ? `（搭乗者:${leg.travelers.join("・")}）` : "";
+  return `${ymd(leg.date)} ${leg.from}→${leg.to}${via}${pax}`;
+}
+
+function legStops(leg){
+  return [leg.from, ...(leg.via || []), leg.to];
+}
+
+function routeLabel(stops){
+  return stops.join("→");
+}
+
+// Price every leg (connections via findPathFare). results[i] belongs to legs[i].
+function searchItinerary(db, legs){
+  const results = [];
+  const misses = [];
+  for (const leg of (legs || [])){
+    const res = leg.via?.length ? findPathFare(db, leg.date, legStops(leg)) : findFare(db, leg.date, leg.from, leg.to);
+    results.push({ ...res, leg });
+    if (!res.hit) misses.push({ ...res, leg });
+  }
+  return { results, misses };
+}
+
+// -----------------------------
+// Japanese national holidays (computed offline, 2000-2099)
+// -----------------------------
+const HOLIDAY_CACHE = new Map(); // year -> Map(ymd -> name)
+
+function nthMonday(y, m, n){
+  const first = new Date(y, m - 1, 1).getDay();
+  return 1 + (8 - first) % 7 + (n - 1) * 7;
+}
+
+// 春分/秋分: the usual approximation, good for 1980-2099
+function equinoxDay(y, base){
+  return Math.floor(base + 0.242194 * (y - 1980) - Math.floor((y - 1980) / 4));
+}
+
+// [month, day, name] of the 国民の祝日 themselves (2020/2021: Olympic moves)
+function statutoryHolidays(y){
+  const moved = {
+    2020: { sea: [7, 23], sports: [7, 24], mountain: [8, 10] },
+    2021: { sea: [7, 22], sports: [7, 23], mountain: [8, 8] },
+  }[y] || {};
+  const list = [
+    [1, 1, "元日"],
+    [1, nthMonday(y, 1, 2), "成人の日"],
+    [2, 11, "建国記念の日"],
+    [3, equinoxDay(y, 20.8431), "春分の日"],
+    [4, 29, y >= 2007 ? "昭和の日" : "みどりの日"],
+    [5, 3, "憲法記念日"],
+    [5, 5, "こどもの日"],
+    [...(moved.sea || (y >= 2003 ? [7, nthMonday(y, 7, 3)] : [7, 20])), "海の日"],
+    [9, y >= 2003 ? nthMonday(y, 9, 3) : 15, "敬老の日"],
+    [9, equinoxDay(y, 23.2488), "秋分の日"],
+    [...(moved.sports || [10, nthMonday(y, 10, 2)]), y >= 2020 ? "スポーツの日" : "体育の日"],
+    [11, 3, "文化の日"],
+    [11, 23, "勤労感謝の日"],
+  ];
+  if (y >= 2007) list.push([5, 4, "みどりの日"]);
+  if (y >= 2016) list.push([...(moved.mountain || [8, 11]), "山の日"]);
+  if (y >= 2020) list.push([2, 23, "天皇誕生日"]);
+  if (y <= 2018) list.push([12, 23, "天皇誕生日"]);
+  if (y === 2019) list.push([5, 1, "天皇の即位の日"], [10, 22, "即位礼正殿の儀の行われる日"]);
+  return list;
+}
+
+// ymd -> name for one year, with 国民の休日 (a day between two holidays) and 振替休日 (Sunday holiday -> next free day)
+function japaneseHolidays(year){
+  if (HOLIDAY_CACHE.has(year)) return HOLIDAY_CACHE.get(year);
+  const map = new Map();
+  if (year >= 2000 && year <= 2099){
+    const days = statutoryHolidays(year).map(([m, d, name]) => [makeDate(year, m, d), name]);
+    for (const [d, name] of days) map.set(ymd(d), name);
+    for (const [d] of days){
+      const mid = addDaysTo(d, 1);
+      if (!map.has(ymd(mid)) && map.has(ymd(addDaysTo(d, 2))) && mid.getFullYear() === year) map.set(ymd(mid), "国民の休日");
+    }
+    for (const [d] of days){
+      if (d.getDay() !== 0) continue;
+      let sub = addDaysTo(d, 1);
+      while (map.has(ymd(sub))) sub = addDaysTo(sub, 1);
+      if (sub.getFullYear() === year) map.set(ymd(sub), "振替休日");
+    }
+  }
+  const sorted = new Map(Array.from(map).sort((a,b)=> a[0].localeCompare(b[0])));
+  HOLIDAY_CACHE.set(year, sorted);
+  return sorted;
+}
+
+function holidayName(date){
+  return date ? japaneseHolidays(date.getFullYear()).get(ymd(date)) || "" : "";
+}
+
+// -----------------------------
+// Day conditions (適用曜日: "土日祝" / "平日" / "月〜金" / "年末年始" ...)
+// -----------------------------
+const DAY_SEASONS = {
+  newyear: { label: "年末年始", from: [12, 29], to: [1, 3] },
+  gw: { label: "GW", from: [4, 29], to: [5, 5] },
+  obon: { label: "お盆", from: [8, 13], to: [8, 16] },
+};
+
+// Longest first ("祝日" before "祝"); 平日 = 月〜金 that are not holidays
+const DAY_WORDS = [
+  ["ゴールデンウィーク", [{ season: "gw" }]],
+  ["年末年始", [{ season: "newyear" }]],
+  ["weekday", [1, 2, 3, 4, 5].map(dow => ({ dow, workday: true }))],
+  ["weekend", [{ dow: 0 }, { dow: 6 }]],
+  ["holiday", [{ holiday: true }]],
+  ["お盆", [{ season: "obon" }]],
+  ["平日", [1, 2, 3, 4, 5].map(dow => ({ dow, workday: true }))],
+  ["休日", [{ dow: 0 }, { dow: 6 }, { holiday: true }]],
+  ["週末", [{ dow: 0 }, { dow: 6 }]],
+  ["祝日", [{ holiday: true }]],
+  ...WEEKDAYS_EN.map((w, dow) => [w, [{ dow }]]),
+  ["gw", [{ season: "gw" }]],
+  ["祝", [{ holiday: true }]],
+];
+
+// Cell -> { raw, terms, errors } (a day matches when any term does); "" -> null = every day.
+// Cells with errors never match: "祝前日" read as 祝 + 日 would price holidays and Sundays.
+function parseDayCondition(s){
+  const raw = (s ?? "").toString().trim();
+  if (!raw) return null;
+  const t = raw.normalize("NFKC").toLowerCase().replace(/\s+/g, "").replace(/曜日?/g, "");
+  const terms = [];
+  const errors = [];
+  let bad = "";
+  const flush = () => { if (bad) errors.push(bad); bad = ""; };
+  let i = 0;
+  while (i < t.length){
+    if ("・,、/|".includes(t[i])){ flush(); i++; continue; }
+    const word = DAY_WORDS.find(([w]) => t.startsWith(w, i));
+    if (word){ flush(); terms.push(...word[1]); i += word[0].length; continue; }
+    const range = /^([日月火水木金土])[-~〜]([日月火水木金土])/.exec(t.slice(i));
+    if (range){
+      flush();
+      const end = WEEKDAYS_JA.indexOf(range[2]);
+      for (let dow = WEEKDAYS_JA.indexOf(range[1]); ; dow = (dow + 1) % 7){
+        terms.push({ dow });
+        if (dow === end) break;
+      }
+      i += range[0].length;
+      continue;
+    }
+    const dow = WEEKDAYS_JA.indexOf(t[i]);
+    if (dow >= 0){ flush(); terms.push({ dow }); i++; continue; }
+    bad += t[i++];
+  }
+  flush();
+  return { raw, terms, errors };
+}
+
+function inDaySeason(key, date){
+  const s = DAY_SEASONS[key];
+  const md = (date.getMonth() + 1) * 100 + date.getDate();
+  const a = s.from[0] * 100 + s.from[1];
+  const b = s.to[0] * 100 + s.to[1];
+  return a <= b ? md >= a && md <= b : md >= a || md <= b;
+}
+
+// Why the condition holds on date ("土曜日" / "祝日（海の日）" / "年末年始"); null when it does not, "" without a condition
+function dayConditionMatch(cond, date){
+  if (!cond) return "";
+  if (cond.errors.length) return null;
+  const hol = holidayName(date);
+  const dow = date.getDay();
+  for (const t of cond.terms){
+    if (t.season && inDaySeason(t.season, date)) return DAY_SEASONS[t.season].label;
+    if (t.holiday && hol) return `祝日（${hol}）`;
+    if (t.dow === dow && !(t.workday && hol)) return t.workday ? `平日（${WEEKDAYS_JA[dow]}曜日）` : `${WEEKDAYS_JA[dow]}曜日`;
+  }
+  return null;
+}
+
+// -----------------------------
+// Advance purchase (事前購入: "28日前" / "28〜75日前")
+// -----------------------------
+// Lookups never read the clock: callers pass the booking date (app: #bookingDate, CLI: --booked, both default todayDate())
+function todayDate(){
+  const n = new Date();
+  return makeDate(n.getFullYear(), n.getMonth() + 1, n.getDate());
+}
+
+// Cell -> { raw, min, max } in days before departure (max null: no upper bound); "" -> null.
+// Unreadable cells keep raw with min NaN, so the row never applies.
+function parseAdvanceWindow(s){
+  const raw = (s ?? "").toString().trim();
+  if (!raw) return null;
+  const nums = (raw.normalize("NFKC").match(/\d+/g) || []).map(Number);
+  if (nums.length < 1 || nums.length > 2) return { raw, min: NaN, max: null };
+  return { raw, min: Math.min(...nums), max: nums.length === 2 ? Math.max(...nums) : null };
+}
+
+// "30日前に予約" when booking on bookedOn qualifies for the window, null when not (or no booking date), "" without a window
+function advanceMatch(win, bookedOn, date){
+  if (!win) return "";
+  if (!bookedOn) return null;
+  const n = daySpan(bookedOn, date);
+  if (!(n >= win.min) || (win.max != null && n > win.max)) return null;
+  return `${n}日前に予約`;
+}
+
+// The itinerary priced as if booked on bookedOn and on altBookedOn (see compareItinerary);
+// totals cover the hits of legs that are not excluded
+function compareBookingDates(db, legs, bookedOn, altBookedOn){
+  const rows = compareItinerary({ ...db, bookedOn }, { ...db, bookedOn: altBookedOn }, legs);
+  const sum = (side) => rows.reduce((n, r) => n + (!r.leg.excluded && r[side].hit ? r[side].row.fare : 0), 0);
+  return { rows, total: sum("before"), altTotal: sum("after") };
+}
+
+// -----------------------------
+// Result export (CSV / TSV)
+// -----------------------------
+const EXPORT_HEADER = ["日付","出発地","到着地","経由","価格タイプ","運賃","適用期間","合計対象"];
+
+// Export rows for searchItinerary() results (include flag = !leg.excluded)
+// When any hit has fare components, one column per component follows EXPORT_HEADER
+// and parts holds the included totals per component (otherwise partKeys is empty, parts null).
+function resultsTable(results, opts){
+  results = results || [];
+  const hits = results.filter(r => r.hit);
+  const partKeys = hits.some(r => r.row.components)
+    ? ["base", ...FARE_COMPONENTS.map(c => c.key)].filter(k => hits.some(r => fareParts(r.row)[k] !== undefined))
+    : [];
+  const rows = results.map(r => {
+    const included = r.hit && !r.leg.excluded;
+    const parts = r.hit ? fareParts(r.row) : {};
+    return [
+      ymd(r.leg.date),
+      r.from,
+      r.to,
+      (r.leg.via || []).join("・"),
+      r.hit ? (r.row.priceType || "") : (r.hasAnyRoute ? "期間外" : "未登録"),
+      r.hit ? String(Math.trunc(r.row.fare)) : "",
+      r.hit ? `${ymd(r.row.validFrom)}〜${ymd(r.row.validTo)}` : "",
+      included ? "対象" : "対象外",
+      ...partKeys.map(k => parts[k] === undefined ? "" : String(parts[k])),
+    ];
+  });
+  const incl = results.filter(r => r.hit && !r.leg.excluded);
+  const total = incl.reduce((s, r) => s + Math.trunc(r.row.fare), 0);
+  const sums = sumFareParts(incl.map(r => r.row));
+  return {
+    header: [...EXPORT_HEADER, ...partKeys.map(fareComponentLabel)],
+    rows,
+    total,
+    includedCount: incl.length,
+    count: results.length,
+    partKeys,
+    parts: partKeys.length ? Object.fromEntries(partKeys.map(k => [k, sums[k] || 0])) : null,
+    discounts: opts?.discountRules?.length ? applyDiscountRules(results, opts.discountRules) : null,
+  };
+}
+
+// Plain JSON view of one searchItinerary() result (CLI output, golden files)
+function resultJSON(r){
+  return {
+    line: r.leg.raw,
+    date: ymd(r.leg.date),
+    from: r.from,
+    to: r.to,
+    via: r.leg.via || [],
+    hit: r.hit,
+    status: r.hit ? "hit" : (r.hasAnyRoute ? "out-of-period" : "no-route"),
+    priceType: r.hit ? r.row.priceType : null,
+    fare: r.hit ? r.row.fare : null,
+    validFrom: r.hit ? ymd(r.row.validFrom) : null,
+    validTo: r.hit ? ymd(r.row.validTo) : null,
+    source: r.hit ? r.row.source : null,
+    ...(r.hit && r.row.components ? { components: r.row.components } : {}),
+    ...(r.hit && r.row.days ? { days: r.row.days.raw, dayMatch: r.dayMatch || "" } : {}),
+    ...(r.hit && r.row.advance ? { advance: r.row.advance.raw, advanceMatch: r.advanceMatch || "" } : {}),
+    hops: (r.hops || []).map(h => ({
+      from: h.from,
+      to: h.to,
+      hit: h.hit,
+      priceType: h.hit ? h.row.priceType : null,
+      fare: h.hit ? h.row.fare : null,
+      source: h.hit ? h.row.source : null,
+    })),
+  };
+}
+
+function exportTotalsRow(t){
+  return ["合計", "", "", "", `${t.includedCount}/${t.count}件`, String(t.total), "", "", ...(t.partKeys || []).map(k => String(t.parts[k]))];
+}
+
+// One row per applied discount, then the discounted total (none without adjustments)
+function exportDiscountRows(t){
+  const d = t.discounts;
+  if (!d?.adjustments.length) return [];
+  const pad = (cols) => [...cols, ...new Array(Math.max(t.header.length - cols.length, 0)).fill("")];
+  return [
+    ...d.adjustments.map(a => pad(["割引", "", "", "", a.rule.label, String(-a.amount), a.reason, ""])),
+    pad(["割引後合計", "", "", "", "", String(d.discounted), "", ""]),
+  ];
+}
+
+function exportCSV(t){
+  const lines = [t.header, ...t.rows, exportTotalsRow(t), ...exportDiscountRows(t)].map(cols => cols.map(csvCell).join(","));
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+function exportTSV(t){
+  const cell = (v) => (v ?? "").toString().replace(/[\t\r\n]+/g, " ");
+  return [t.header, ...t.rows, exportTotalsRow(t), ...exportDiscountRows(t)].map(cols => cols.map(cell).join("\t")).join("\n");
+}
+
+// -----------------------------
+// Passengers (group travel)
+// -----------------------------
+// rates: share of the adult fare when the data has no per-category column; unit: round down to (yen)
+const PASSENGER_RULES_DEFAULT = { rates: { adult: 1, child: 0.5, senior: 1 }, unit: 10 };
+
+// passenger_rules.json / UI object -> { rates, unit } (missing or bad values fall back to the defaults)
+function normalizePassengerRules(obj){
+  const rates = { ...PASSENGER_RULES_DEFAULT.rates };
+  for (const t of PASSENGER_TYPES){
+    const v = Number(obj?.rates?.[t.key]);
+    if (Number.isFinite(v) && v >= 0) rates[t.key] = v;
+  }
+  const unit = Number(obj?.unit);
+  return { rates, unit: Number.isInteger(unit) && unit > 0 ? unit : PASSENGER_RULES_DEFAULT.unit };
+}
+
+function passengerLabel(type){
+  return PASSENGER_TYPES.find(t => t.key === type)?.label || type;
+}
+
+// One traveler's fare for a fare row: category column > adult fare x rate. Connections sum their hops.
+function paxFare(row, type, rules){
+  if (row.hops?.length) return row.hops.reduce((s, h) => s + paxFare(h, type, rules), 0);
+  if (type === "adult" || !type) return row.fare;
+  if (row.paxFares?.[type] !== undefined) return row.paxFares[type];
+  const r = rules || PASSENGER_RULES_DEFAULT;
+  const unit = r.unit || 1;
+  return Math.floor(row.fare * (r.rates?.[type] ?? 1) / unit) * unit;
+}
+
+// "田中" / "佐藤 小児" / "鈴木,シニア" per line -> { travelers: [{ name, type }], errors }
+function parseRosterLines(text){
+  const travelers = [];
+  const errors = [];
+  (text ?? "").toString().split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line) return;
+    const m = line.match(/^(.+?)(?:\s*[,\t、（(]\s*|\s+)(\S+?)[)）]?$/);
+    const t = m && PASSENGER_TYPES.find(p => p.label === m[2] || p.key === m[2].toLowerCase());
+    const name = t ? m[1].trim() : line;
+    if (travelers.some(x => x.name === name)){ errors.push(`${i + 1}行目: 名前が重複しています「${name}」`); return; }
+    travelers.push({ name, type: t ? t.key : "adult" });
+  });
+  return { travelers, errors };
+}
+
+// counts { adult, child, senior } + named travelers -> roster [{ name, type }].
+// Names fill their category first; the rest are "大人2" etc. A category never has fewer people than names.
+function buildRoster(counts, named){
+  const out = [];
+  for (const t of PASSENGER_TYPES){
+    const names = (named || []).filter(n => n.type === t.key).map(n => n.name);
+    const n = Math.max(Number(counts?.[t.key]) || 0, names.length);
+    for (let i=0; i<n; i++) out.push({ name: names[i] || `${t.label}${i + 1}`, type: t.key });
+  }
+  return out;
+}
+
+// searchItinerary() results x roster. Legs with leg.travelers are charged to those names only,
+// other legs to everyone. Excluded and missed legs are skipped. discounts: applyDiscountRules() result,
+// whose rule is applied again to each traveler's own fare.
+// -> { travelers: [{ name, type, legs, total }], byType: { adult: { count, total } }, total, unknown: [names] }
+function groupTotals(results, roster, rules, discounts){
+  const people = (roster || []).map(p => ({ ...p, legs: 0, total: 0 }));
+  const unknown = new Set();
+  (results || []).forEach((r, i) => {
+    if (!r.hit || r.leg.excluded) return;
+    const names = r.leg.travelers || [];
+    for (const n of names) if (!people.some(p => p.name === n)) unknown.add(n);
+    const who = names.length ? people.filter(p => names.includes(p.name)) : people;
+    const adj = discounts?.byLeg?.[i];
+    for (const p of who){
+      const fare = paxFare(r.row, p.type, rules);
+      p.legs++;
+      p.total += fare - (adj ? discountAmount(adj.rule, fare) : 0);
+    }
+  });
+  const byType = {};
+  for (const p of people){
+    const b = byType[p.type] || (byType[p.type] = { count: 0, total: 0 });
+    b.count++;
+    b.total += p.total;
+  }
+  return { travelers: people, byType, total: people.reduce((s, p) => s + p.total, 0), unknown: Array.from(unknown) };
+}
+
+// -----------------------------
+// Itinerary discounts (往復割引 / 乗継割引)
+// -----------------------------
+// discount_rules.json: { "rules": [{ id, label, type, rate | amount, ... }] }, earlier rules win.
+//   roundTrip:  A→B and a later B→A within withinDays (default 30); both legs discounted
+//   connection: a leg with （経由:…）, or consecutive legs X→Y, Y→Z within maxStopoverDays (default 0 = same day)
+//   rate: share off each leg's fare (0.1 = 10%), amount: yen off per leg; unit: round the discount down (default 10)
+//   priceTypes / routes ([["東京","沖縄"], ...], either direction) narrow which legs qualify
+const DISCOUNT_TYPES = ["roundTrip","connection"];
+
+function normalizeDiscountRules(conf){
+  const list = Array.isArray(conf) ? conf : conf?.rules;
+  if (!Array.isArray(list)) throw new Error("rules がありません");
+  const rules = [];
+  const errors = [];
+  list.forEach((r, i) => {
+    const id = (r?.id ?? `rule${i + 1}`).toString();
+    if (!DISCOUNT_TYPES.includes(r?.type)){ errors.push(`${id}: type は ${DISCOUNT_TYPES.join(" / ")}`); return; }
+    const rate = Number(r.rate);
+    const amount = Number(r.amount);
+    if (!(rate > 0 && rate < 1) && !(amount > 0)){ errors.push(`${id}: rate（0〜1）か amount（円）が必要です`); return; }
+    rules.push({
+      id,
+      label: (r.label ?? id).toString(),
+      type: r.type,
+      rate: rate > 0 && rate < 1 ? rate : 0,
+      amount: amount > 0 ? Math.trunc(amount) : 0,
+      unit: Number.isInteger(Number(r.unit)) && Number(r.unit) > 0 ? Number(r.unit) : 10,
+      withinDays: Number.isFinite(Number(r.withinDays)) ? Number(r.withinDays) : 30,
+      maxStopoverDays: Number.isFinite(Number(r.maxStopoverDays)) ? Number(r.maxStopoverDays) : 0,
+      priceTypes: Array.isArray(r.priceTypes) ? r.priceTypes.map(String) : [],
+      routes: Array.isArray(r.routes) ? r.routes.filter(x => Array.isArray(x) && x.length === 2).map(x => x.map(String)) : [],
+    });
+  });
+  return { rules, errors };
+}
+
+// Yen off one fare under a rule (never more than the fare)
+function discountAmount(rule, fare){
+  const off = rule.rate ? Math.floor(fare * rule.rate / rule.unit) * rule.unit : rule.amount;
+  return Math.min(Math.max(off, 0), fare);
+}
+
+// searchItinerary() results -> { adjustments: [{ rule, legs: [i, ...], amount, reason }], byLeg: { i: adjustment },
+//   undiscounted, discounted }. Missed and excluded legs neither qualify nor count.
+function applyDiscountRules(results, rules){
+  results = results || [];
+  const ok = (i) => results[i]?.hit && !results[i].leg.excluded;
+  const byLeg = {};
+  const adjustments = [];
+
+  const qualifies = (rule, r) => {
+    if (rule.priceTypes.length && !String(r.row.priceType).split("+").every(t => rule.priceTypes.includes(t))) return false;
+    if (rule.routes.length && !rule.routes.some(([a, b]) => (a === r.from && b === r.to) || (a === r.to && b === r.from))) return false;
+    return true;
+  };
+  const take = (rule, legs, reason) => {
+    const adj = { rule, legs, reason, amount: 0 };
+    for (const i of legs){
+      adj.amount += discountAmount(rule, results[i].row.fare);
+      byLeg[i] = adj;
+    }
+    adjustments.push(adj);
+  };
+
+  for (const rule of (rules || [])){
+    for (let i=0; i<results.length; i++){
+      if (!ok(i) || byLeg[i] || !qualifies(rule, results[i])) continue;
+      const a = results[i];
+
+      if (rule.type === "roundTrip"){
+        for (let j=i+1; j<results.length; j++){
+          const b = results[j];
+          if (!ok(j) || byLeg[j] || !qualifies(rule, b)) continue;
+          if (b.from !== a.to || b.to !== a.from) continue;
+          const days = daySpan(a.leg.date, b.leg.date);
+          if (days < 0 || days > rule.withinDays) continue;
+          take(rule, [i, j], `${a.from}⇄${a.to} 往復（${days}日）`);
+          break;
+        }
+      }
+
+      if (rule.type === "connection"){
+        if ((a.leg.via || []).length){
+          take(rule, [i], `${routeLabel(legStops({ ...a.leg, from: a.from, to: a.to }))} 乗継`);
+          continue;
+        }
+        const j = i + 1;
+        const b = results[j];
+        if (!b || !ok(j) || byLeg[j] || !qualifies(rule, b) || b.from !== a.to || b.to === a.from) continue;
+        const days = daySpan(a.leg.date, b.leg.date);
+        if (days < 0 || days > rule.maxStopoverDays) continue;
+        take(rule, [i, j], `${a.from}→${a.to}→${b.to} 乗継（${days ? `${days}日後` : "同日"}）`);
+      }
+    }
+  }
+
+  const undiscounted = results.reduce((s, r, i) => s + (ok(i) ? Math.trunc(r.row.fare) : 0), 0);
+  const off = adjustments.reduce((s, a) => s + a.amount, 0);
+  return { adjustments, byLeg, undiscounted, discounted: undiscounted - off };
+}
+
+// -----------------------------
+// DB build
+// -----------------------------
+// CSV/TSV text -> { rows, format } without checking the columns (opts.onProgress: see parseCSV())
+function parseTableText(text, hintedName, opts){
+  // decide CSV/TSV
+  const name = (hintedName || "").toLowerCase();
+  const isTSV = name.endsWith(".tsv") || (!name.endsWith(".csv") && (text.includes("\t") && !text.includes(",")));
+  const rows = isTSV ? parseTSV(text) : parseCSV(text, opts);
+  return { rows, format: isTSV ? "tsv" : "csv" };
+}
+
+function parseFareRowsFromText(text, hintedName, opts){
+  const { rows, format } = parseTableText(text, hintedName, opts);
+  const shape = hasFareShape(rows);
+  if (!shape.ok){
+    throw new Error(`データ形式が不正です（出発地/到着地/運賃が見つかりません）。${shape.reason ? shape.reason : ""}`);
+  }
+  return { rows, format };
+}
+
+function shiftYear(d, plus){
+  const x = new Date(d);
+  x.setFullYear(x.getFullYear() + plus);
+  return x;
+}
+
+// Align year for cross-year boarding windows
+function alignToWholeRange(pFrom, pTo, wholeFrom, wholeTo){
+  let from = pFrom;
+  let to = pTo;
+  if (!(from instanceof Date) || !(to instanceof Date)) return null;
+
+  if (wholeFrom instanceof Date && wholeTo instanceof Date){
+    const crosses = wholeTo.getFullYear() > wholeFrom.getFullYear();
+    if (crosses){
+      const startY = wholeFrom.getFullYear();
+      const startM = wholeFrom.getMonth();
+
+      // Common: Jan-Mar written with startY; shift to +1 year
+      if (from.getFullYear() === startY && from.getMonth() < startM) from = shiftYear(from, +1);
+      if (to.getFullYear() === startY && to.getMonth() < startM) to = shiftYear(to, +1);
+
+      if (to < wholeFrom){
+        from = shiftYear(from, +1);
+        to = shiftYear(to, +1);
+      }
+    }
+
+    // clamp
+    const vf = new Date(Math.max(from.getTime(), wholeFrom.getTime()));
+    const vt = new Date(Math.min(to.getTime(), wholeTo.getTime()));
+    if (vf > vt) return null;
+    return { from: vf, to: vt };
+  }
+
+  return { from, to };
+}
+
+// Price periods of one normalized row (before alignToWholeRange)
+function rowPeriods(rr){
+  const wholeFrom = parseDateLoose(rr.wholeFrom);
+  const wholeTo = parseDateLoose(rr.wholeTo);
+
+  let periods = [];
+  let kind = "";
+
+  // 1) explicit from/to columns
+  const vf = parseDateLoose(rr.validFrom);
+  const vt = parseDateLoose(rr.validTo);
+  if (vf && vt){
+    periods.push({ from: vf, to: vt, raw: `${rr.validFrom}〜${rr.validTo}` });
+    kind = "validFrom/validTo";
+  }
+
+  // 2) string range column
+  if (!periods.length){
+    periods = parsePeriodRanges(rr.validRange);
+    if (periods.length) kind = "validRange";
+  }
+
+  // 3) fallback: use whole boarding range if no specific periods
+  if (!periods.length && wholeFrom && wholeTo){
+    periods = [{ from: wholeFrom, to: wholeTo, raw: `${ymd(wholeFrom)}〜${ymd(wholeTo)}` }];
+    kind = "whole";
+  }
+
+  return { wholeFrom, wholeTo, periods, kind };
+}
+
+function createEmptyDB(){
+  return {
+    meta: {
+      source: "",
+      sourceUrl: "",
+      fares: 0,
+      routes: 0,
+      places: 0,
+      updatedAt: "",
+      rawRows: 0,
+    },
+    faresRows: [],           // normalized fare rows
+    routeMap: new Map(),     // key: from||to (normalized) -> rows[]
+    routeIndex: new Map(),   // key: from||to (normalized) -> buildIntervalIndex(rows)
+    places: [],              // unique places (canonical display strings)
+    aliasToCanon: new Map(), // key: normalized alias -> canonical display string
+    placeGraph: new Map(),   // key: canonical place -> Set(canonical neighbour) (both directions)
+    placePrefs: new Map(),   // key: canonical place -> prefecture (from the 都道府県 columns)
+    lint: null,              // lintFareRows() report of the loaded sheet
+    fuzzy: null,             // fuzzyIndex() cache, reset when aliases change
+    policy: null,            // selection policy for findFare() (null: FARE_POLICIES[0])
+    bookedOn: null,          // booking date for advance-purchase rows (null: they never apply)
+  };
+}
+
+// Filled component cells of a normalized row -> { fuelSurcharge: 1200, ... }
+function rowComponents(rr){
+  const out = {};
+  for (const c of FARE_COMPONENTS){
+    const t = (rr[c.key] ?? "").toString().trim();
+    if (!t) continue;
+    const n = parseInt(t.replace(/[^0-9-]/g,""), 10);
+    if (Number.isFinite(n)) out[c.key] = n;
+  }
+  return out;
+}
+
+// Filled per-category fare cells -> { child: 12000, ... }
+function rowPaxFares(rr){
+  const out = {};
+  for (const t of PASSENGER_TYPES){
+    if (t.key === "adult") continue;
+    const v = (rr[t.fareKey] ?? "").toString().trim();
+    const n = parseInt(v.replace(/[^0-9-]/g,""), 10);
+    if (v && Number.isFinite(n)) out[t.key] = n;
+  }
+  return out;
+}
+
+// Fare row -> components incl. base. Rows without component columns are all base fare.
+function fareParts(row){
+  return row.components || { base: row.fare };
+}
+
+function sumFareParts(rows){
+  const out = {};
+  for (const r of rows){
+    for (const [k, v] of Object.entries(fareParts(r))) out[k] = (out[k] || 0) + v;
+  }
+  return out;
+}
+
+function fareComponentLabel(key){
+  return key === "base" ? "基本運賃" : (FARE_COMPONENTS.find(c => c.key === key)?.label || key);
+}
+
+// Normalized fare rows of one sheet (periods aligned, duplicates dropped)
+function normalizeFareRows(fareRows, sourceName){
+  const fares = [];
+  const seen = new Set();
+
+  const keyOf = (from,to,ptype,fromD,toD,days,advance) => `${from}||${to}||${ptype}||${ymd(fromD)}||${ymd(toD)}||${days?.raw || ""}||${advance?.raw || ""}`;
+
+  for (const r of (fareRows || [])){
+    const rr = normalizeRowKeys(r);
+
+    const fromRaw = (rr.from ?? "").toString().trim();
+    const toRaw = (rr.to ?? "").toString().trim();
+    if (!fromRaw || !toRaw) continue;
+
+    const priceType = ((rr.priceType ?? "").toString().trim() || "通常");
+    const fare = parseInt(((rr.fare ?? "0").toString()).replace(/[^0-9-]/g,""), 10);
+    const fareNum = Number.isFinite(fare) ? fare : 0;
+
+    const extra = rowComponents(rr);
+    const extraSum = Object.values(extra).reduce((a, b) => a + b, 0);
+    const paxFares = rowPaxFares(rr);
+    const fromPref = prefectureName(rr.fromPref);
+    const toPref = prefectureName(rr.toPref);
+    const days = parseDayCondition(rr.days);
+    const advance = parseAdvanceWindow(rr.advance);
+
+    const { wholeFrom, wholeTo, periods } = rowPeriods(rr);
+
+    for (const p of periods){
+      const aligned = alignToWholeRange(p.from, p.to, wholeFrom, wholeTo);
+      if (!aligned) continue;
+
+      const uniq = keyOf(fromRaw, toRaw, priceType, aligned.from, aligned.to, days, advance);
+      if (seen.has(uniq)) continue;
+      seen.add(uniq);
+
+      fares.push({
+        from: fromRaw,
+        to: toRaw,
+        priceType,
+        fare: fareNum + extraSum,
+        validFrom: aligned.from,
+        validTo: aligned.to,
+        source: sourceName,
+        ...(Object.keys(extra).length ? { components: { base: fareNum, ...extra } } : {}),
+        ...(Object.keys(paxFares).length ? { paxFares } : {}),
+        ...(fromPref ? { fromPref } : {}),
+        ...(toPref ? { toPref } : {}),
+        ...(days ? { days } : {}),
+        ...(advance ? { advance } : {}),
+      });
+    }
+  }
+  return fares;
+}
+
+// Row minus the given periods (day granularity) -> 0..n remaining pieces
+function subtractPeriods(row, cuts){
+  let pieces = [row];
+  for (const c of cuts){
+    const next = [];
+    for (const p of pieces){
+      if (c.validTo < p.validFrom || c.validFrom > p.validTo){ next.push(p); continue; }
+      if (c.validFrom > p.validFrom) next.push({ ...p, validTo: addDays(c.validFrom, -1) });
+      if (c.validTo < p.validTo) next.push({ ...p, validFrom: addDays(c.validTo, 1) });
+    }
+    pieces = next;
+  }
+  return pieces;
+}
+
+// Layers: [{ name, priority, fares }]. On the same route (direction), price type, 適用曜日 and 事前購入,
+// a higher-priority layer owns its periods; lower layers keep only what is left over.
+function layerFareRows(layers){
+  const ordered = (layers || []).slice().sort((a,b)=> (b.priority ?? 0) - (a.priority ?? 0));
+  const keyOf = (r) => normKey(r.from) + "||" + normKey(r.to) + "||" + r.priceType + "||" + (r.days?.raw || "") + "||" + (r.advance?.raw || "");
+
+  const owned = new Map(); // route||priceType -> periods of higher layers
+  const out = [];
+  const stats = [];
+
+  for (const layer of ordered){
+    const mine = new Map();
+    let overridden = 0;
+    let kept = 0;
+    for (const row of (layer.fares || [])){
+      const k = keyOf(row);
+      const pieces = subtractPeriods(row, owned.get(k) || []);
+      if (pieces.length !== 1 || pieces[0] !== row) overridden++;
+      for (const p of pieces){
+        out.push(p);
+        kept++;
+      }
+      if (!mine.has(k)) mine.set(k, []);
+      mine.get(k).push(row);
+    }
+    for (const [k, list] of mine){
+      if (!owned.has(k)) owned.set(k, []);
+      owned.get(k).push(...list);
+    }
+    stats.push({ name: layer.name, priority: layer.priority ?? 0, fares: kept, overridden });
+  }
+  return { fares: out, stats };
+}
+
+// Normalized, indexed fare DB from one raw sheet (no DOM, no globals)
+function buildFareDB(fareRows, sourceName, sourceUrl, aliasRows){
+  return buildFareDBFromLayers([{ name: sourceName, url: sourceUrl, rows: fareRows, priority: 0 }], aliasRows);
+}
+
+// Same, from several sheets: [{ name, url, rows, priority }] (higher priority overrides)
+// opts.onProgress({ stage: "normalize" | "index" | "lint" }) before each step (background build)
+function buildFareDBFromLayers(sources, aliasRows, opts){
+  const progress = opts?.onProgress || (() => {});
+  const db = createEmptyDB();
+  const list = (sources || []).filter(Boolean);
+
+  progress({ stage: "normalize" });
+  const layered = layerFareRows(list.map(s => ({
+    name: s.name,
+    priority: s.priority ?? 0,
+    fares: normalizeFareRows(s.rows, s.name),
+  })));
+  const fares = layered.fares;
+
+  const placesSet = new Set();
+  const placePrefs = new Map();
+  for (const row of fares){
+    placesSet.add(row.from);
+    placesSet.add(row.to);
+    if (row.fromPref && !placePrefs.has(row.from)) placePrefs.set(row.from, row.fromPref);
+    if (row.toPref && !placePrefs.has(row.to)) placePrefs.set(row.to, row.toPref);
+  }
+
+  const places = Array.from(placesSet).sort((a,b)=>a.localeCompare(b,"ja"));
+  // defaults + external aliases (optional, override the defaults)
+  const aliasToCanon = aliasMap(places, aliasRows);
+
+  // route index
+  progress({ stage: "index" });
+  const map = new Map();
+  for (const row of fares){
+    const k = normKey(row.from) + "||" + normKey(row.to);
+    if (!map.has(k)) map.set(k, []);
+    map.get(k).push(row);
+  }
+  const index = new Map();
+  for (const [k, arr] of map.entries()){
+    arr.sort((a,b)=>a.validFrom - b.validFrom || a.validTo - b.validTo || a.fare - b.fare);
+    index.set(k, buildIntervalIndex(arr));
+  }
+
+  // lint each sheet on its own (line numbers are per file)
+  progress({ stage: "lint" });
+  const issues = [];
+  const counts = { error: 0, warn: 0, info: 0 };
+  for (const s of list){
+    const r = lintFareRows(s.rows, aliasRows);
+    for (const x of r.issues) issues.push({ ...x, source: s.name });
+    for (const k of Object.keys(counts)) counts[k] += r.counts[k];
+  }
+
+  db.faresRows = fares;
+  db.routeMap = map;
+  db.routeIndex = index;
+  db.places = places;
+  db.aliasToCanon = aliasToCanon;
+  db.placeGraph = buildPlaceGraph(db);
+  db.placePrefs = placePrefs;
+  db.lint = { issues, counts, rawRows: list.reduce((n, s) => n + (s.rows?.length || 0), 0) };
+  db.meta = {
+    source: list.map(s => s.name).join(" + "),
+    sourceUrl: list.length === 1 ? (list[0].url || "") : "",
+    fares: fares.length,
+    routes: map.size,
+    places: places.length,
+    updatedAt: nowStamp(),
+    rawRows: db.lint.rawRows,
+    layers: layered.stats.map(st => ({ ...st, url: list.find(s => s.name === st.name)?.url || "" })),
+  };
+
+  return db;
+}
+
+// -----------------------------
+// Dataset diff
+// -----------------------------
+function periodLabel(r){
+  const cond = [r.days?.raw, r.advance?.raw].filter(Boolean).join(" ");
+  return `${ymd(r.validFrom)}〜${ymd(r.validTo)}${cond ? `（${cond}）` : ""}`;
+}
+
+// What changed from oldDb to newDb, on normalized fare rows.
+// opts.from / opts.to: keep only routes touching these places (alias-resolved)
+function diffFareDBs(oldDb, newDb, opts){
+  const entries = [];
+  const add = (kind, route, e) => entries.push({ kind, from: route.from, to: route.to, route: `${route.from}→${route.to}`, ...e });
+
+  const want = (db, name) => name ? normKey(resolvePlace(db, name)) : "";
+  const wantFrom = want(newDb, opts?.from) || want(oldDb, opts?.from);
+  const wantTo = want(newDb, opts?.to) || want(oldDb, opts?.to);
+  const keep = (k) => {
+    const [f, t] = k.split("||");
+    return (!wantFrom || f === wantFrom) && (!wantTo || t === wantTo);
+  };
+
+  const keys = new Set([...oldDb.routeMap.keys(), ...newDb.routeMap.keys()]);
+  for (const k of Array.from(keys).sort()){
+    if (!keep(k)) continue;
+    const before = oldDb.routeMap.get(k) || [];
+    const after = newDb.routeMap.get(k) || [];
+    const route = (after[0] || before[0]);
+
+    if (!before.length){
+      add("route-added", route, { after: after.map(r => `${r.priceType} ${money(r.fare)} ${periodLabel(r)}`).join(" / ") });
+      continue;
+    }
+    if (!after.length){
+      add("route-removed", route, { before: before.map(r => `${r.priceType} ${money(r.fare)} ${periodLabel(r)}`).join(" / ") });
+      continue;
+    }
+
+    // 1) same period: fare and price-type changes
+    const byPeriod = (rows) => {
+      const m = new Map();
+      for (const r of rows){
+        const p = periodLabel(r);
+        if (!m.has(p)) m.set(p, []);
+        m.get(p).push(r);
+      }
+      return m;
+    };
+    const oldP = byPeriod(before);
+    const newP = byPeriod(after);
+    const oldOnly = [];
+    const newOnly = [];
+
+    for (const [p, olds] of oldP){
+      const news = newP.get(p);
+      if (!news){ oldOnly.push(...olds); continue; }
+      const restOld = [];
+      const restNew = news.slice();
+      for (const o of olds){
+        const i = restNew.findIndex(n => n.priceType === o.priceType);
+        if (i < 0){ restOld.push(o); continue; }
+        const n = restNew.splice(i, 1)[0];
+        if (n.fare !== o.fare){
+          add(n.fare > o.fare ? "fare-up" : "fare-down", route, {
+            priceType: o.priceType, period: p, before: o.fare, after: n.fare, delta: n.fare - o.fare,
+          });
+        }
+      }
+      // leftovers on the same period: a price type was renamed/reassigned
+      while (restOld.length && restNew.length){
+        const o = restOld.shift();
+        const n = restNew.shift();
+        add("type-changed", route, {
+          period: p, priceType: `${o.priceType}→${n.priceType}`, before: o.fare, after: n.fare, delta: n.fare - o.fare,
+        });
+      }
+      oldOnly.push(...restOld);
+      newOnly.push(...restNew);
+    }
+    for (const [p, news] of newP){
+      if (!oldP.has(p)) newOnly.push(...news);
+    }
+
+    // 2) different periods: per price type, moved periods vs plain additions/removals
+    const types = new Set([...oldOnly, ...newOnly].map(r => r.priceType));
+    for (const type of types){
+      const o = oldOnly.filter(r => r.priceType === type);
+      const n = newOnly.filter(r => r.priceType === type);
+      const fares = (rows) => Array.from(new Set(rows.map(r => money(r.fare)))).join("/");
+      if (o.length && n.length){
+        add("period-changed", route, {
+          priceType: type,
+          before: `${o.map(periodLabel).join(" / ")}（${fares(o)}）`,
+          after: `${n.map(periodLabel).join(" / ")}（${fares(n)}）`,
+        });
+      } else if (n.length){
+        add("row-added", route, { priceType: type, after: n.map(r => `${money(r.fare)} ${periodLabel(r)}`).join(" / ") });
+      } else {
+        add("row-removed", route, { priceType: type, before: o.map(r => `${money(r.fare)} ${periodLabel(r)}`).join(" / ") });
+      }
+    }
+  }
+
+  const counts = {};
+  for (const e of entries) counts[e.kind] = (counts[e.kind] || 0) + 1;
+  return { entries, counts };
+}
+
+// Same itinerary priced on both datasets: results[i] = { leg, before, after, delta }
+function compareItinerary(oldDb, newDb, legs){
+  const a = searchItinerary(oldDb, legs).results;
+  const b = searchItinerary(newDb, legs).results;
+  return a.map((before, i) => {
+    const after = b[i];
+    const delta = (before.hit && after.hit) ? after.row.fare - before.row.fare : null;
+    return { leg: before.leg, before, after, delta };
+  });
+}
+
+const DIFF_HEADER = ["kind","route","priceType","period","before","after","delta"];
+
+function diffCSV(diff){
+  const lines = [DIFF_HEADER.join(",")];
+  for (const e of (diff?.entries || [])){
+    lines.push([e.kind, e.route, e.priceType, e.period, e.before, e.after, e.delta].map(csvCell).join(","));
+  }
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+// -----------------------------
+// Data validation (lint)
+// -----------------------------
+const KNOWN_ROLES = new Set([
+  "from","to","fare","priceType","wholeFrom","wholeTo","validFrom","validTo","validRange","alias","canonical","rule","fromPref","toPref","days","advance",
+  ...FARE_COMPONENTS.map(c => c.key),
+  ...PASSENGER_TYPES.map(t => t.fareKey),
+]);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addDays(d, n){
+  const x = new Date(d);
+  x.setDate(x.getDate() + n);
+  return x;
+}
+
+function daySpan(a, b){
+  return Math.round((b.getTime() - a.getTime()) / DAY_MS);
+}
+
+// Per-row problems the DB build silently tolerates (pure, independent of any built DB).
+// row = line number in the sheet (header is line 1)
+function lintFareRows(fareRows, aliasRows){
+  const issues = [];
+  const add = (level, code, row, route, message) => issues.push({ level, code, row, route, message });
+
+  const rows = Array.isArray(fareRows) ? fareRows : [];
+
+  // headers: unknown (fell through canonicalKey) or mapped twice to the same role
+  const headers = Object.keys(rows[0] || {});
+  const roleOf = new Map();
+  for (const h of headers){
+    const role = canonicalKey(h);
+    if (!KNOWN_ROLES.has(role)){
+      add("warn", "unknown-header", 1, "", `列「${h}」は認識されず無視されます`);
+      continue;
+    }
+    if (roleOf.has(role)){
+      add("warn", "duplicate-header", 1, "", `列「${h}」は「${roleOf.get(role)}」と同じ役割(${role})に解釈され、空欄時のみ使われます`);
+      continue;
+    }
+    roleOf.set(role, h);
+  }
+
+  const seen = new Map();        // same key as buildDBFromRows -> first line
+  const byRouteType = new Map(); // from||to||priceType -> [{from,to,line}]
+  const byWhole = new Map();     // from||to||wholeFrom||wholeTo -> {periods, line}
+  const placesSet = new Set();
+
+  rows.forEach((r, i) => {
+    const line = i + 2;
+    const rr = normalizeRowKeys(r);
+    const fromRaw = (rr.from ?? "").toString().trim();
+    const toRaw = (rr.to ?? "").toString().trim();
+    const route = `${fromRaw}→${toRaw}`;
+
+    if (!fromRaw || !toRaw){
+      add("error", "missing-place", line, route, "出発地/到着地が空のため行ごと無視されます");
+      return;
+    }
+    placesSet.add(fromRaw);
+    placesSet.add(toRaw);
+
+    const priceType = ((rr.priceType ?? "").toString().trim() || "通常");
+    const fareText = (rr.fare ?? "").toString().trim();
+    const fare = parseInt(fareText.replace(/[^0-9-]/g,""), 10);
+    if (!Number.isFinite(fare)){
+      add("error", "fare-unparsable", line, route, `運賃「${fareText}」が数値として読めません（0円扱い）`);
+    } else if (fare <= 0){
+      add("error", "fare-nonpositive", line, route, `運賃が${fare}円です`);
+    }
+
+    for (const c of FARE_COMPONENTS){
+      const t = (rr[c.key] ?? "").toString().trim();
+      if (t && !Number.isFinite(parseInt(t.replace(/[^0-9-]/g,""), 10))){
+        add("warn", "component-unparsable", line, route, `${c.label}「${t}」が数値として読めません（0円扱い）`);
+      }
+    }
+
+    const days = parseDayCondition(rr.days);
+    if (days?.errors.length){
+      add("error", "days-unparsable", line, route, `適用曜日「${days.raw}」の「${days.errors.join("」「")}」が読めません（行ごとどの日にも適用されません）`);
+    }
+    const advance = parseAdvanceWindow(rr.advance);
+    if (advance && !Number.isFinite(advance.min)){
+      add("error", "advance-unparsable", line, route, `事前購入「${advance.raw}」が日数として読めません（どの予約日にも適用されません）`);
+    }
+    const cond = [days?.raw, advance?.raw].filter(Boolean).join(" ");
+    const typeKey = cond ? `${priceType}（${cond}）` : priceType;
+
+    const { wholeFrom, wholeTo, periods, kind } = rowPeriods(rr);
+
+    if ((rr.wholeFrom || rr.wholeTo) && !(wholeFrom && wholeTo)){
+      add("warn", "whole-unparsable", line, route, `搭乗期間「${rr.wholeFrom || ""}〜${rr.wholeTo || ""}」が読めません（補正なし）`);
+    }
+
+    // validRange parts that parsePeriodRanges skipped
+    if (kind !== "validFrom/validTo" && rr.validRange){
+      const parts = rr.validRange.split("/").map(p => p.trim()).filter(Boolean);
+      const okRaw = new Set(parsePeriodRanges(rr.validRange).map(p => p.raw));
+      for (const p of parts){
+        if (!okRaw.has(p)) add("error", "period-unparsable", line, route, `価格適用期間「${p}」が読めず無視されます`);
+      }
+      const counts = new Map();
+      for (const p of parts) counts.set(p, (counts.get(p) || 0) + 1);
+      for (const [p, n] of counts){
+        if (n > 1) add("warn", "period-repeated", line, route, `価格適用期間「${p}」が同じセル内で${n}回記載されています`);
+      }
+    }
+
+    if (!periods.length){
+      add("error", "no-period", line, route, "価格適用期間も搭乗期間も読めないため行ごと無視されます");
+      return;
+    }
+    if (kind === "whole" && rr.validRange){
+      add("warn", "period-fallback", line, route, "価格適用期間が読めないため搭乗期間全体を適用期間として扱います");
+    }
+
+    const rtKey = normKey(fromRaw) + "||" + normKey(toRaw) + "||" + typeKey;
+    const wKey = normKey(fromRaw) + "||" + normKey(toRaw) + "||" + ymd(wholeFrom) + "||" + ymd(wholeTo);
+    if (wholeFrom && wholeTo && !byWhole.has(wKey)){
+      byWhole.set(wKey, { route, wholeFrom, wholeTo, line, periods: [] });
+    }
+
+    for (const p of periods){
+      const aligned = alignToWholeRange(p.from, p.to, wholeFrom, wholeTo);
+      if (!aligned){
+        add("error", "period-clamped-away", line, route, `価格適用期間「${p.raw}」は搭乗期間 ${ymd(wholeFrom)}〜${ymd(wholeTo)} の外のため除外されます`);
+        continue;
+      }
+      if (daySpan(aligned.from, aligned.to) < daySpan(p.from, p.to) - 1){
+        add("warn", "period-clamped", line, route, `価格適用期間「${p.raw}」は搭乗期間に合わせて ${ymd(aligned.from)}〜${ymd(aligned.to)} に切り詰められます`);
+      }
+
+      const uniq = `${fromRaw}||${toRaw}||${typeKey}||${ymd(aligned.from)}||${ymd(aligned.to)}`;
+      if (seen.has(uniq)){
+        if (seen.get(uniq) !== line){
+          add("warn", "duplicate-range", line, route, `${typeKey} ${ymd(aligned.from)}〜${ymd(aligned.to)} は${seen.get(uniq)}行目と重複のため無視されます`);
+        }
+        continue;
+      }
+      seen.set(uniq, line);
+
+      if (!byRouteType.has(rtKey)) byRouteType.set(rtKey, []);
+      byRouteType.get(rtKey).push({ from: aligned.from, to: aligned.to, line, route, priceType: typeKey });
+      if (byWhole.has(wKey)) byWhole.get(wKey).periods.push(aligned);
+    }
+  });
+
+  // overlapping periods of the same price type on one route
+  for (const list of byRouteType.values()){
+    list.sort((a,b)=> a.from - b.from || a.to - b.to);
+    for (let i=1; i<list.length; i++){
+      const prev = list[i-1];
+      const cur = list[i];
+      if (cur.from <= prev.to){
+        add("warn", "period-overlap", cur.line, cur.route, `${cur.priceType} ${ymd(cur.from)}〜${ymd(cur.to)} が${prev.line}行目の ${ymd(prev.from)}〜${ymd(prev.to)} と重なっています`);
+      }
+    }
+  }
+
+  // gaps: days inside 搭乗期間開始/終了 not covered by any price period of the route
+  for (const w of byWhole.values()){
+    const ps = w.periods.slice().sort((a,b)=> a.from - b.from);
+    let cursor = w.wholeFrom;
+    const gaps = [];
+    for (const p of ps){
+      if (p.from > cursor) gaps.push([cursor, addDays(p.from, -1)]);
+      if (p.to >= cursor) cursor = addDays(p.to, 1);
+    }
+    if (cursor <= w.wholeTo) gaps.push([cursor, w.wholeTo]);
+    for (const [a,b] of gaps){
+      add("warn", "coverage-gap", w.line, w.route, `搭乗期間 ${ymd(w.wholeFrom)}〜${ymd(w.wholeTo)} のうち ${ymd(a)}〜${ymd(b)} に適用運賃がありません`);
+    }
+  }
+
+  // places the alias sheet does not mention at all
+  const aliasKnown = new Set();
+  for (const a of (aliasRows || [])){
+    const aa = normalizeRowKeys(a);
+    if (aa.canonical) aliasKnown.add(normKey(aa.canonical));
+  }
+  if (aliasKnown.size){
+    for (const p of Array.from(placesSet).sort((a,b)=>a.localeCompare(b,"ja"))){
+      if (!aliasKnown.has(normKey(p))) add("info", "place-no-alias", "", p, `地名「${p}」は place_aliases.csv に登録がありません`);
+    }
+  }
+
+  const counts = { error: 0, warn: 0, info: 0 };
+  for (const x of issues) counts[x.level]++;
+  return { issues, counts, rawRows: rows.length };
+}
+
+function csvCell(v){
+  const t = (v ?? "").toString();
+  return /[",\r\n]/.test(t) ? `"${t.replace(/"/g,'""')}"` : t;
+}
+
+function lintReportCSV(report){
+  const lines = [["source","level","code","row","route","message"].join(",")];
+  for (const x of (report?.issues || [])){
+    lines.push([x.source, x.level, x.code, x.row, x.route, x.message].map(csvCell).join(","));
+  }
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+if (typeof module !== "undefined" && module.exports){
+  module.exports = {
+    nowStamp,
+    stripBOM,
+    norm,
+    normKey,
+    normHeaderKey,
+    FARE_COMPONENTS,
+    canonicalKey,
+    COLUMN_ROLES,
+    headerSignature,
+    guessColumnRoles,
+    applyColumnMapping,
+    checkColumnMapping,
+    normalizeRowKeys,
+    parseDateLoose,
+    ymd,
+    money,
+    escapeHtml,
+    parseTSV,
+    parseCSV,
+    gridToRows,
+    decodeText,
+    readZipEntries,
+    readXlsx,
+    workbookSheets,
+    xlsxSerialDate,
+    looksLikeHTML,
+    parsePeriodRanges,
+    hasFareShape,
+    hasAliasShape,
+    buildAliasDefaultsFromPlaces,
+    BUILTIN_ALIASES,
+    ALIAS_ORIGINS,
+    aliasEntries,
+    aliasMap,
+    aliasReport,
+    aliasCSV,
+    resolvePlace,
+    kanaToRomaji,
+    fuzzyKey,
+    editDistance,
+    isKnownPlace,
+    fuzzyIndex,
+    suggestPlaces,
+    REGIONS,
+    PREFECTURES,
+    prefectureName,
+    regionOf,
+    placeGroups,
+    filterPlaces,
+    areaPlaces,
+    cheapestToArea,
+    japaneseHolidays,
+    holidayName,
+    DAY_SEASONS,
+    parseDayCondition,
+    dayConditionMatch,
+    todayDate,
+    parseAdvanceWindow,
+    advanceMatch,
+    compareBookingDates,
+    inRange,
+    buildIntervalIndex,
+    intervalLookup,
+    routeRowsOn,
+    FARE_POLICIES,
+    normalizePolicy,
+    parsePolicyConfig,
+    rankFares,
+    pickBest,
+    findFare,
+    buildPlaceGraph,
+    composeHopRow,
+    findPathFare,
+    findRoutes,
+    fareCalendar,
+    inferYear,
+    fareCoverage,
+    parseItineraryLines,
+    legToLine,
+    legStops,
+    routeLabel,
+    searchItinerary,
+    EXPORT_HEADER,
+    resultsTable,
+    resultJSON,
+    exportTotalsRow,
+    exportDiscountRows,
+    exportCSV,
+    exportTSV,
+    PASSENGER_TYPES,
+    PASSENGER_RULES_DEFAULT,
+    normalizePassengerRules,
+    passengerLabel,
+    paxFare,
+    parseRosterLines,
+    buildRoster,
+    groupTotals,
+    DISCOUNT_TYPES,
+    normalizeDiscountRules,
+    discountAmount,
+    applyDiscountRules,
+    parseTableText,
+    parseFareRowsFromText,
+    shiftYear,
+    alignToWholeRange,
+    rowPeriods,
+    createEmptyDB,
+    normalizeFareRows,
+    rowPaxFares,
+    rowComponents,
+    fareParts,
+    sumFareParts,
+    fareComponentLabel,
+    subtractPeriods,
+    layerFareRows,
+    buildFareDB,
+    buildFareDBFromLayers,
+    KNOWN_ROLES,
+    addDays,
+    daySpan,
+    lintFareRows,
+    csvCell,
+    lintReportCSV,
+    periodLabel,
+    diffFareDBs,
+    compareItinerary,
+    DIFF_HEADER,
+    diffCSV,
+  };
+}
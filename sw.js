@@ -0,0 +1,124 @@
+/* Transport Fare Calculator - service worker
+ * - App shell: precached on install, network first, cache when offline
+ * - data/*: revalidated against the server (ETag / Last-Modified), the last downloaded copy is kept for offline use
+ * - Data responses carry X-Fare-Data (new / updated / unchanged / offline) and X-Fare-Cached-At for the page
+ */
+const SW_VERSION = "v12.12";
+const SHELL_CACHE = `fare-shell-${SW_VERSION}`;
+const DATA_CACHE = "fare-data";
+
+const SHELL_FILES = [
+  "./",
+  "./index.html",
+  "./core.js?v=12.12",
+  "./app.js?v=12.12",
+  "./worker.js",
+  "./manifest.webmanifest",
+  "./icon.svg",
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  // drop shells of older versions; the data cache survives app updates
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith("fare-shell-") && k !== SHELL_CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const req = event.request;
+  if (req.method !== "GET") return;
+  const url = new URL(req.url);
+  if (url.origin !== location.origin) return;
+
+  const scope = new URL(self.registration.scope);
+  if (url.pathname.startsWith(scope.pathname + "data/")){
+    event.respondWith(fetchData(req));
+    return;
+  }
+  event.respondWith(fetchShell(req));
+});
+
+// -----------------------------
+// App shell
+// -----------------------------
+async function fetchShell(req){
+  const cache = await caches.open(SHELL_CACHE);
+  try{
+    const res = await fetch(req);
+    if (res.ok && req.mode !== "navigate") cache.put(req, res.clone());
+    return res;
+  } catch (e){
+    const hit = await cache.match(req) || (req.mode === "navigate" ? await cache.match("./index.html") : null);
+    if (hit) return hit;
+    throw e;
+  }
+}
+
+// -----------------------------
+// Fare data
+// -----------------------------
+// Cache key without the page's cache-busting parameter
+function dataKey(req){
+  const u = new URL(req.url);
+  u.searchParams.delete("_ts");
+  return u.toString();
+}
+
+function withDataHeaders(res, body, status, cachedAt){
+  const headers = new Headers(res.headers);
+  headers.set("X-Fare-Data", status);
+  headers.set("X-Fare-Cached-At", cachedAt);
+  return new Response(body, { status: 200, statusText: "OK", headers });
+}
+
+function sameBytes(a, b){
+  if (a.byteLength !== b.byteLength) return false;
+  const x = new Uint8Array(a);
+  const y = new Uint8Array(b);
+  for (let i=0; i<x.length; i++) if (x[i] !== y[i]) return false;
+  return true;
+}
+
+async function fetchData(req){
+  const key = dataKey(req);
+  const cache = await caches.open(DATA_CACHE);
+  const cached = await cache.match(key);
+
+  // conditional request: unchanged data costs a 304 instead of a full download
+  const headers = {};
+  if (cached?.headers.get("ETag")) headers["If-None-Match"] = cached.headers.get("ETag");
+  if (cached?.headers.get("Last-Modified")) headers["If-Modified-Since"] = cached.headers.get("Last-Modified");
+
+  let res;
+  try{
+    res = await fetch(key, { cache: "no-store", headers });
+  } catch {
+    if (!cached) return Response.error();
+    return withDataHeaders(cached, await cached.arrayBuffer(), "offline", cached.headers.get("X-Fare-Cached-At") || "");
+  }
+
+  const now = new Date().toISOString();
+  if (res.status === 304 && cached){
+    const body = await cached.arrayBuffer();
+    await cache.put(key, withDataHeaders(cached, body, "unchanged", now));
+    return withDataHeaders(cached, body, "unchanged", now);
+  }
+  // 404s and SPA fallback pages are passed through, never stored as data
+  if (!res.ok || (res.headers.get("Content-Type") || "").includes("text/html")) return res;
+
+  // bytes, not text: the page decides the encoding (Shift_JIS sheets are not UTF-8)
+  const body = await res.arrayBuffer();
+  const status = !cached ? "new" : sameBytes(await cached.arrayBuffer(), body) ? "unchanged" : "updated";
+  await cache.put(key, withDataHeaders(res, body, status, now));
+  return withDataHeaders(res, body, status, now);
+}
@@ -0,0 +1,32 @@
+// CLI tests (cli.js main / itinerary tables) against the shipped data/ files: node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const cli = require("../cli.js");
+
+const ROOT = path.join(__dirname, "..");
+const DATA = (name) => path.join(ROOT, "data", name);
+
+test("itineraryTableToText: 出発日 is the date column, not the origin", () => {
+  const text = "出発日,出発地,到着地,経由\n2025-08-21,東京,沖縄,\n2025-08-22,沖縄,東京,宮古\n";
+  assert.equal(cli.itineraryTableToText(text, "trip.csv"), "2025-08-21 東京→沖縄\n2025-08-22 沖縄→東京（経由:宮古）");
+});
+
+test("main: an 出発日 itinerary table is priced", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fare-cli-"));
+  try{
+    const trip = path.join(dir, "trip.csv");
+    const out = path.join(dir, "result.json");
+    fs.writeFileSync(trip, "出発日,出発地,到着地\n2025-08-21,東京,沖縄\n", "utf8");
+
+    const code = cli.main(["--fares", DATA("transport.csv"), "--aliases", DATA("place_aliases.csv"),
+      "--itinerary", trip, "--format", "json", "--out", out]);
+    const res = JSON.parse(fs.readFileSync(out, "utf8"));
+    assert.equal(code, 0);
+    assert.deepEqual([res.total, res.hits, res.misses], [85690, 1, 0]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,888 @@
+// Unit tests for core.js (no browser, no network): node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const core = require("../core.js");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+const readFixture = (name) => fs.readFileSync(path.join(FIXTURES, name), "utf8");
+
+const d = (y, m, day) => new Date(y, m - 1, day);
+
+// .xlsx entries are inflated with DecompressionStream("deflate-raw"): Node 20.12+
+const HAS_DEFLATE_RAW = (() => {
+  try{
+    new DecompressionStream("deflate-raw");
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+function excerptDB(){
+  const rows = core.parseCSV(readFixture("transport_excerpt.csv"));
+  const aliases = core.parseCSV(fs.readFileSync(path.join(__dirname, "..", "data", "place_aliases.csv"), "utf8"));
+  return core.buildFareDB(rows, "transport_excerpt.csv", "", aliases);
+}
+
+test("parseDateLoose: full dates with - and /", () => {
+  assert.equal(core.ymd(core.parseDateLoose("2025-08-21")), "2025-08-21");
+  assert.equal(core.ymd(core.parseDateLoose("2025/8/1")), "2025-08-01");
+  assert.equal(core.ymd(core.parseDateLoose(" 2026-1-5 ")), "2026-01-05");
+});
+
+test("parseDateLoose: M/D and M-D assume the current year", () => {
+  const y = new Date().getFullYear();
+  assert.equal(core.ymd(core.parseDateLoose("8/22")), `${y}-08-22`);
+  assert.equal(core.ymd(core.parseDateLoose("1-5")), `${y}-01-05`);
+});
+
+test("parseDateLoose: rejects empty and free text", () => {
+  assert.equal(core.parseDateLoose(""), null);
+  assert.equal(core.parseDateLoose(null), null);
+  assert.equal(core.parseDateLoose("8月22日"), null);
+  assert.equal(core.parseDateLoose("2025-08-21 東京"), null);
+});
+
+test("parsePeriodRanges: splits on / and keeps repeated parts", () => {
+  const ranges = core.parsePeriodRanges("2025-06-01〜2025-06-30 / 2025-09-01〜2025-10-25 / 2025-09-01〜2025-10-25");
+  assert.deepEqual(ranges.map(r => `${core.ymd(r.from)}..${core.ymd(r.to)}`), [
+    "2025-06-01..2025-06-30",
+    "2025-09-01..2025-10-25",
+    "2025-09-01..2025-10-25",
+  ]);
+  assert.equal(ranges[0].raw, "2025-06-01〜2025-06-30");
+});
+
+test("parsePeriodRanges: accepts ～ / ~ separators and slash dates only inside a part", () => {
+  assert.equal(core.parsePeriodRanges("2025-07-01～2025-08-31").length, 1);
+  assert.equal(core.parsePeriodRanges("2025-07-01 ~ 2025-08-31").length, 1);
+  // "/" is the part separator, so slash-style dates are split apart and dropped
+  assert.equal(core.parsePeriodRanges("2025/07/01〜2025/08/31").length, 0);
+  assert.deepEqual(core.parsePeriodRanges("未定 / "), []);
+});
+
+test("alignToWholeRange: shifts Jan-Mar written with the start year into the next year", () => {
+  const whole = [d(2025,10,26), d(2026,3,28)];
+  const a = core.alignToWholeRange(d(2025,3,1), d(2025,3,28), ...whole);
+  assert.equal(core.ymd(a.from), "2026-03-01");
+  assert.equal(core.ymd(a.to), "2026-03-28");
+
+  const b = core.alignToWholeRange(d(2025,12,1), d(2026,1,4), ...whole);
+  assert.equal(core.ymd(b.from), "2025-12-01");
+  assert.equal(core.ymd(b.to), "2026-01-04");
+});
+
+test("alignToWholeRange: clamps to the boarding range and drops periods outside it", () => {
+  const whole = [d(2025,6,1), d(2025,10,25)];
+  const a = core.alignToWholeRange(d(2025,9,1), d(2025,11,30), ...whole);
+  assert.equal(core.ymd(a.from), "2025-09-01");
+  assert.equal(core.ymd(a.to), "2025-10-25");
+  assert.equal(core.alignToWholeRange(d(2025,11,1), d(2025,11,30), ...whole), null);
+});
+
+test("alignToWholeRange: passes through without a boarding range", () => {
+  const a = core.alignToWholeRange(d(2025,1,1), d(2025,1,31), null, null);
+  assert.equal(core.ymd(a.from), "2025-01-01");
+  assert.equal(core.alignToWholeRange(null, d(2025,1,31), null, null), null);
+});
+
+test("pickBest: narrowest window wins over cheaper wider windows", () => {
+  const rows = [
+    { priceType: "通常", fare: 100, validFrom: d(2025,1,1), validTo: d(2025,12,31) },
+    { priceType: "通常", fare: 300, validFrom: d(2025,8,1), validTo: d(2025,8,31) },
+  ];
+  assert.equal(core.pickBest(rows, d(2025,8,10)).fare, 300);
+  assert.equal(core.pickBest(rows, d(2025,9,10)).fare, 100);
+  assert.equal(core.pickBest(rows, d(2026,1,1)), null);
+});
+
+test("pickBest: same window prefers ピーク, then the lower fare", () => {
+  const win = { validFrom: d(2025,8,1), validTo: d(2025,8,31) };
+  const rows = [
+    { ...win, priceType: "通常", fare: 100 },
+    { ...win, priceType: "ピーク", fare: 500 },
+    { ...win, priceType: "ピーク", fare: 400 },
+  ];
+  const best = core.pickBest(rows, d(2025,8,15));
+  assert.equal(best.priceType, "ピーク");
+  assert.equal(best.fare, 400);
+});
+
+test("pickBest: window boundaries are inclusive", () => {
+  const rows = [{ priceType: "通常", fare: 1, validFrom: d(2025,8,1), validTo: d(2025,8,31) }];
+  assert.ok(core.pickBest(rows, d(2025,8,1)));
+  assert.ok(core.pickBest(rows, d(2025,8,31)));
+  assert.equal(core.pickBest(rows, d(2025,9,1)), null);
+});
+
+test("rankFares: policies reorder candidates and explain the winner", () => {
+  const rows = [
+    { priceType: "通常", fare: 100, validFrom: d(2025,1,1), validTo: d(2025,12,31) },
+    { priceType: "ピーク", fare: 300, validFrom: d(2025,8,1), validTo: d(2025,8,31) },
+    { priceType: "早割", fare: 80, validFrom: d(2025,7,1), validTo: d(2025,9,30) },
+  ];
+  const [std, cheapest, regular] = core.FARE_POLICIES;
+  const at = d(2025,8,10);
+
+  const byDefault = core.rankFares(rows, at, std);
+  assert.deepEqual(byDefault.ranked.map(r => r.priceType), ["ピーク", "早割", "通常"]);
+  assert.equal(byDefault.reason, "適用期間が短い（31日 < 92日）");
+
+  assert.equal(core.rankFares(rows, at, cheapest).ranked[0].priceType, "早割");
+  assert.equal(core.rankFares(rows, at, cheapest).reason, "運賃が安い（80 < 100）");
+  assert.equal(core.rankFares(rows, at, regular).ranked[0].priceType, "ピーク");
+  assert.equal(core.rankFares(rows, d(2025,9,10), regular).ranked[0].priceType, "通常");
+  assert.equal(core.rankFares(rows, d(2025,10,10), std).reason, "");
+
+  const conf = core.parsePolicyConfig(JSON.stringify({
+    default: "sales",
+    policies: [{ id: "sales", rules: ["priceType", "bogus"], priceTypes: ["早割"] }],
+  }));
+  assert.equal(conf.default, "sales");
+  assert.deepEqual(conf.policies[0].rules, ["priceType", "cheapest"]);
+  assert.equal(core.rankFares(rows, at, conf.policies[0]).reason, "価格タイプの優先順（早割 > 通常）");
+  assert.throws(() => core.parsePolicyConfig("{}"));
+
+  const db = excerptDB();
+  db.policy = cheapest;
+  assert.ok(core.findFare(db, d(2025,8,21), "東京", "沖縄").candidates.length >= 1);
+});
+
+test("normKey: drops spaces, brackets and middle dots, lowercases", () => {
+  assert.equal(core.normKey(" 東京（羽田） "), "東京羽田");
+  assert.equal(core.normKey("Naha・Okinawa"), "nahaokinawa");
+  assert.equal(core.normKey("宮古　(宮古島)"), "宮古宮古島");
+  assert.equal(core.normKey("NAKASHIBETSU"), core.normKey("Nakashibetsu"));
+});
+
+test("resolvePlace: alias sheet, built-in aliases and unknown names", () => {
+  const db = excerptDB();
+  assert.equal(core.resolvePlace(db, "那覇"), "沖縄");
+  assert.equal(core.resolvePlace(db, "羽田"), "東京");
+  assert.equal(core.resolvePlace(db, "MMY"), "宮古");
+  assert.equal(core.resolvePlace(db, "宮古島"), "宮古");
+  assert.equal(core.resolvePlace(db, "東京（羽田）"), "東京");
+  assert.equal(core.resolvePlace(db, " ロンドン "), "ロンドン");
+  assert.equal(core.resolvePlace(db, ""), "");
+});
+
+test("suggestPlaces: typos, kana/romaji readings and airport codes", () => {
+  const db = excerptDB();
+  const top = (name) => core.suggestPlaces(db, name)[0]?.canonical;
+  assert.equal(top("東亰"), "東京");
+  assert.equal(top("ミヤコ"), "宮古");
+  assert.equal(top("ｍｉｙａｋｏ"), "宮古");
+  assert.equal(top("okinawa"), "沖縄");
+  assert.equal(top("MMX"), "宮古");
+  assert.deepEqual(core.suggestPlaces(db, "ロンドン"), []);
+  assert.equal(core.fuzzyKey("なかしべつ"), core.fuzzyKey("Nakashibetsu"));
+  assert.equal(core.editDistance("abcd", "abdc"), 1);
+  assert.equal(core.isKnownPlace(db, "那覇"), true);
+  assert.equal(core.isKnownPlace(db, "那霸"), false);
+});
+
+test("buildAliasDefaultsFromPlaces: strips 県/空港 suffixes without overriding places", () => {
+  const m = core.buildAliasDefaultsFromPlaces(["沖縄", "沖縄県", "那覇空港"]);
+  assert.equal(m.get(core.normKey("沖縄")), "沖縄");
+  assert.equal(m.get(core.normKey("那覇")), "那覇空港");
+  assert.equal(m.has(core.normKey("羽田")), false);
+});
+
+test("japaneseHolidays: statutory days, 振替休日, 国民の休日 and the 2019-2021 exceptions", () => {
+  const y2025 = core.japaneseHolidays(2025);
+  assert.equal(y2025.size, 19);
+  assert.equal(y2025.get("2025-02-24"), "振替休日");
+  assert.equal(y2025.get("2025-05-06"), "振替休日");
+  assert.equal(y2025.get("2025-07-21"), "海の日");
+  assert.equal(core.holidayName(d(2026, 9, 22)), "国民の休日");
+  assert.equal(core.holidayName(d(2019, 5, 1)), "天皇の即位の日");
+  assert.equal(core.holidayName(d(2019, 4, 30)), "国民の休日");
+  assert.equal(core.holidayName(d(2020, 7, 24)), "スポーツの日");
+  assert.equal(core.holidayName(d(2021, 8, 9)), "振替休日");
+  assert.equal(core.holidayName(d(2025, 12, 23)), "");
+});
+
+test("day conditions: 平日 / 土日祝 rows are picked by weekday and holiday", () => {
+  assert.deepEqual(core.parseDayCondition("金〜日").terms, [{ dow: 5 }, { dow: 6 }, { dow: 0 }]);
+  assert.deepEqual(core.parseDayCondition("土日祝前日").errors, ["前"]);
+  assert.equal(core.parseDayCondition(" "), null);
+  assert.equal(core.dayConditionMatch(core.parseDayCondition("年末年始"), d(2026, 1, 3)), "年末年始");
+
+  const rows = core.parseCSV([
+    "出発地,到着地,価格タイプ,運賃,価格適用期間,適用曜日",
+    "東京,沖縄,通常,30000,2025-07-01〜2025-08-31,",
+    "東京,沖縄,通常,28000,2025-07-01〜2025-08-31,平日",
+    "東京,沖縄,通常,36000,2025-07-01〜2025-08-31,土日祝",
+    "東京,沖縄,通常,40000,2025-08-13〜2025-08-16,お盆",
+    "東京,宮古,通常,50000,2025-07-01〜2025-08-31,土日祝前",
+  ].join("\n"));
+  const db = core.buildFareDB(rows, "days.csv", "", []);
+  const pick = (date) => core.findFare(db, date, "東京", "沖縄");
+
+  assert.deepEqual([pick(d(2025, 7, 22)).row.fare, pick(d(2025, 7, 22)).dayMatch], [28000, "平日（火曜日）"]);
+  assert.deepEqual([pick(d(2025, 7, 21)).row.fare, pick(d(2025, 7, 21)).dayMatch], [36000, "祝日（海の日）"]);
+  assert.equal(pick(d(2025, 7, 26)).row.fare, 36000);
+  assert.equal(pick(d(2025, 7, 22)).reason, "曜日・祝日の条件つき運賃（平日）");
+  // 8/14 is a Thursday: お盆 and 平日 both apply, the shorter お盆 period wins (standard policy)
+  assert.deepEqual([pick(d(2025, 8, 14)).row.fare, pick(d(2025, 8, 14)).candidates.length], [40000, 3]);
+  assert.equal(core.resultJSON({ ...pick(d(2025, 7, 21)), leg: { raw: "", date: d(2025, 7, 21) } }).dayMatch, "祝日（海の日）");
+
+  assert.deepEqual(db.lint.issues.map(x => [x.code, x.row]), [["days-unparsable", 6]]);
+  assert.equal(core.findFare(db, d(2025, 7, 26), "東京", "宮古").hit, false);
+});
+
+test("day conditions: a partly readable 適用曜日 never matches", () => {
+  const cond = core.parseDayCondition("祝前日");
+  assert.deepEqual(cond.errors, ["前"]);
+  assert.ok(cond.terms.length > 0);
+  assert.equal(core.dayConditionMatch(cond, d(2025, 7, 21)), null); // 海の日
+  assert.equal(core.dayConditionMatch(cond, d(2025, 7, 27)), null); // Sunday
+
+  const rows = core.parseCSV([
+    "出発地,到着地,価格タイプ,運賃,価格適用期間,適用曜日",
+    "東京,沖縄,通常,30000,2025-07-01〜2025-08-31,",
+    "東京,沖縄,通常,45000,2025-07-01〜2025-08-31,祝前日",
+  ].join("\n"));
+  const db = core.buildFareDB(rows, "days.csv", "", []);
+  for (const date of [d(2025, 7, 21), d(2025, 7, 27), d(2025, 7, 20)]){
+    const res = core.findFare(db, date, "東京", "沖縄");
+    assert.deepEqual([res.row.fare, res.candidates.length], [30000, 1]);
+  }
+  assert.deepEqual(db.lint.issues.map(x => [x.code, x.message]),
+    [["days-unparsable", "適用曜日「祝前日」の「前」が読めません（行ごとどの日にも適用されません）"]]);
+});
+
+test("advance purchase: 事前購入 windows follow the booking date", () => {
+  assert.equal(core.canonicalKey("事前購入"), "advance");
+  assert.deepEqual(core.parseAdvanceWindow("２８〜７５日前"), { raw: "２８〜７５日前", min: 28, max: 75 });
+  assert.equal(core.parseAdvanceWindow(""), null);
+  assert.equal(core.advanceMatch(core.parseAdvanceWindow("28日前"), d(2025, 7, 24), d(2025, 8, 21)), "28日前に予約");
+  assert.equal(core.advanceMatch(core.parseAdvanceWindow("28日前"), d(2025, 7, 25), d(2025, 8, 21)), null);
+
+  const rows = core.parseCSV([
+    "出発地,到着地,価格タイプ,運賃,価格適用期間,事前購入",
+    "東京,沖縄,通常,40000,2025-07-01〜2025-08-31,",
+    "東京,沖縄,早割,30000,2025-07-01〜2025-08-31,28日前",
+    "東京,沖縄,早割,22000,2025-07-01〜2025-08-31,75日前",
+    "東京,沖縄,早割,1,2025-07-01〜2025-08-31,前日まで",
+  ].join("\n"));
+  const db = core.buildFareDB(rows, "advance.csv", "", []);
+  const pick = (bookedOn) => core.findFare({ ...db, bookedOn }, d(2025, 8, 21), "東京", "沖縄");
+
+  assert.deepEqual([pick(d(2025, 5, 1)).row.fare, pick(d(2025, 5, 1)).reason], [22000, "事前購入の運賃（75日前）"]);
+  assert.deepEqual([pick(d(2025, 7, 1)).row.fare, pick(d(2025, 7, 1)).advanceMatch], [30000, "51日前に予約"]);
+  assert.deepEqual([pick(d(2025, 8, 20)).row.fare, pick(d(2025, 8, 20)).advanceMatch], [40000, ""]);
+  // no booking date: lookups never fall back to the clock, advance-purchase rows just do not apply
+  assert.deepEqual([pick(null).row.fare, pick(null).candidates.length], [40000, 1]);
+  assert.equal(core.advanceMatch(core.parseAdvanceWindow("28日前"), null, d(2025, 8, 21)), null);
+  assert.equal(core.resultJSON({ ...pick(d(2025, 7, 1)), leg: { raw: "", date: d(2025, 8, 21) } }).advance, "28日前");
+
+  const legs = [
+    { raw: "", date: d(2025, 8, 21), from: "東京", to: "沖縄", via: [] },
+    { raw: "", date: d(2025, 8, 25), from: "東京", to: "沖縄", via: [], excluded: true },
+  ];
+  const cmp = core.compareBookingDates(db, legs, d(2025, 8, 1), d(2025, 5, 1));
+  assert.deepEqual([cmp.total, cmp.altTotal, cmp.rows.map(r => r.delta)], [40000, 22000, [-18000, -18000]]);
+
+  assert.deepEqual(db.lint.issues.map(x => [x.code, x.row]), [["advance-unparsable", 5]]);
+});
+
+test("prefectures: 到着地_都道府県 feeds grouped places and the area search", () => {
+  assert.equal(core.canonicalKey("到着地_都道府県"), "toPref");
+  assert.equal(core.canonicalKey("出発地 都道府県"), "fromPref");
+  assert.equal(core.prefectureName("沖縄"), "沖縄県");
+  assert.equal(core.prefectureName("京都"), "京都府");
+  assert.equal(core.regionOf("沖縄県"), "九州・沖縄");
+
+  const db = excerptDB();
+  assert.equal(db.placePrefs.get("宮古"), "沖縄県");
+  // no 都道府県 for 東京 in the excerpt (it is never a destination): listed last
+  assert.deepEqual(core.placeGroups(db), [
+    { region: "九州・沖縄", pref: "沖縄県", places: ["沖縄", "宮古"] },
+    { region: "", pref: "", places: ["東京"] },
+  ]);
+
+  assert.deepEqual(core.areaPlaces(db, "沖縄"), core.areaPlaces(db, "沖縄県"));
+  const res = core.cheapestToArea(db, d(2025, 8, 21), "東京", "沖縄県");
+  assert.deepEqual(res.hits.map(h => [h.to, h.row.fare]), [["沖縄", 85690], ["宮古", 109010]]);
+  assert.equal(res.best.to, "沖縄");
+  assert.equal(core.cheapestToArea(db, d(2025, 8, 21), "沖縄", "沖縄県").places.join(), "宮古");
+
+  assert.ok(core.filterPlaces(db, "沖縄県").includes("宮古"));
+  assert.deepEqual(core.filterPlaces(db, ""), db.places);
+});
+
+test("column mapping: template headers, corrected roles and validation", () => {
+  assert.equal(core.canonicalKey("valid_from"), "validFrom");
+  assert.equal(core.canonicalKey("Valid To"), "validTo");
+  assert.equal(core.canonicalKey("note"), "rule");
+  for (const r of core.COLUMN_ROLES) assert.equal(core.canonicalKey(r.header), r.role, r.header);
+
+  const { rows } = core.parseTableText(fs.readFileSync(path.join(__dirname, "..", "data", "transport_template.csv"), "utf8"), "transport_template.csv");
+  const headers = Object.keys(rows[0]);
+  assert.deepEqual(core.guessColumnRoles(headers).map(g => g.role), ["from", "to", "priceType", "validFrom", "validTo", "fare", "rule"]);
+
+  const sheet = [
+    { "区間開始": "2025-08-01", "区間終了": "2025-08-31", "FROM地点": "東京", "行き先": "沖縄", "金額": "12000", "期間A": "2025-08-01", "期間B": "2025-08-15" },
+  ];
+  const guessed = Object.fromEntries(core.guessColumnRoles(Object.keys(sheet[0])).map(g => [g.header, g.role]));
+  assert.deepEqual(core.checkColumnMapping(sheet, guessed).errors, ["「到着地」の列を選んでください"]);
+
+  const mapping = { ...guessed, "区間開始": "wholeFrom", "区間終了": "wholeTo", "行き先": "to", "期間A": "validFrom", "期間B": "" };
+  const half = core.checkColumnMapping(sheet, mapping);
+  assert.deepEqual([half.ok, half.warnings], [true, ["価格適用期間は開始と終了の両方が必要です"]]);
+  assert.ok(!core.checkColumnMapping(sheet, { ...mapping, "金額": "to" }).ok);
+
+  const check = core.checkColumnMapping(sheet, { ...mapping, "期間B": "validTo" });
+  assert.deepEqual([check.ok, check.fares], [true, 1]);
+  const db = core.buildFareDB(core.applyColumnMapping(sheet, { ...mapping, "期間B": "validTo" }), "mapped", "", []);
+  assert.equal(core.findFare(db, d(2025, 8, 10), "東京", "沖縄").row.fare, 12000);
+  assert.equal(core.findFare(db, d(2025, 8, 20), "東京", "沖縄").hit, false);
+  assert.equal(core.headerSignature(["Valid From", "運賃"]), core.headerSignature(["valid from", "運賃"]));
+});
+
+test("aliasReport: origins, unknown places, collisions and CSV export", () => {
+  const places = ["東京", "沖縄県", "札幌"];
+  const sheet = [
+    { alias: "HND", canonical: "東京" },
+    { alias: "hnd", canonical: "東京" },
+    { alias: "SPK", canonical: "札幌" },
+    { alias: "spk", canonical: "千歳" },
+    { alias: "", canonical: "東京" },
+  ];
+  const session = [{ alias: "とうきょ", canonical: "東京", origin: "session" }, { alias: "なは", canonical: "那覇", origin: "session" }];
+  const { rows, counts } = core.aliasReport(places, sheet, session);
+  const pick = (alias) => rows.find(r => r.alias === alias);
+
+  assert.deepEqual(["東京", "沖縄", "羽田", "HND", "とうきょ"].map(a => pick(a).origin), ["auto", "auto", "builtin", "file", "session"]);
+  assert.equal(pick("那覇"), undefined); // built-in only when its place exists
+  assert.equal(pick("hnd").line, 3);
+  assert.ok(pick("HND").duplicate && pick("hnd").duplicate && pick("hnd").active && !pick("HND").active);
+  assert.ok(pick("SPK").conflict && pick("spk").conflict && pick("spk").missing);
+  assert.ok(pick("なは").missing && !pick("なは").active);
+  assert.deepEqual(counts, { total: 12, file: 4, missing: 2, conflict: 1, duplicate: 2 });
+
+  // the active entries are exactly the DB's alias map
+  const period = { "運賃": "1", "価格タイプ": "通常", "価格適用期間": "2025-06-01〜2025-06-30" };
+  const db = core.buildFareDB([{ "出発地": "東京", "到着地": "沖縄県", ...period }, { "出発地": "札幌", "到着地": "東京", ...period }], "t", "", sheet);
+  assert.deepEqual(core.aliasMap(places, sheet), db.aliasToCanon);
+  assert.equal(core.aliasCSV([{ alias: "a,b", canonical: "東京" }]), "\uFEFFalias,canonical\r\n\"a,b\",東京\r\n");
+});
+
+test("canonicalKey: Japanese and English headers", () => {
+  assert.equal(core.canonicalKey("﻿搭乗期間開始"), "wholeFrom");
+  assert.equal(core.canonicalKey("出発地"), "from");
+  assert.equal(core.canonicalKey("到着地"), "to");
+  assert.equal(core.canonicalKey("価格タイプ"), "priceType");
+  assert.equal(core.canonicalKey("運賃"), "fare");
+  assert.equal(core.canonicalKey("価格適用期間"), "validRange");
+  assert.equal(core.canonicalKey("origin"), "from");
+});
+
+test("canonicalKey: English component names only match the whole header", () => {
+  for (const h of ["fare (tax incl.)", "Fare incl. tax", "surcharge-free fare"]) assert.equal(core.canonicalKey(h), "fare", h);
+  assert.equal(core.canonicalKey("Tax"), "tax");
+  assert.equal(core.canonicalKey("Consumption Tax"), "tax");
+  assert.equal(core.canonicalKey("Surcharge"), "fuelSurcharge");
+  assert.equal(core.canonicalKey("fuel_surcharge"), "fuelSurcharge");
+  assert.equal(core.canonicalKey("Airport Fee"), "airportFee");
+  assert.equal(core.canonicalKey("燃油特別付加運賃"), "fuelSurcharge");
+  assert.equal(core.canonicalKey("消費税額"), "tax");
+
+  const db = core.buildFareDB([{ "from": "東京", "to": "沖縄", "Fare incl. tax": "30000", "period": "2025-06-01〜2025-12-31" }], "en", "", []);
+  assert.equal(core.findFare(db, d(2025, 8, 1), "東京", "沖縄").row.fare, 30000);
+});
+
+test("buildFareDB: excerpt of transport.csv is aligned and deduped", () => {
+  const db = excerptDB();
+  const rows = db.routeMap.get("東京||沖縄");
+  const spans = rows.map(r => `${r.priceType} ${core.ymd(r.validFrom)}..${core.ymd(r.validTo)}`);
+  // the repeated "2025-09-01〜2025-10-25" in one cell is stored once
+  assert.equal(spans.filter(s => s === "通常 2025-09-01..2025-10-25").length, 1);
+  // "2025-03-01〜2025-03-28" in the 2025-10-26..2026-03-28 season lands in 2026
+  assert.ok(spans.includes("ピーク 2026-03-01..2026-03-28"));
+  assert.ok(spans.includes("ピーク 2026-03-01..2026-03-05"));
+  assert.equal(db.meta.places, 3);
+});
+
+// lintFareRows on inline rows -> [code, row, message] per issue
+const FARE_HEAD = "出発地,到着地,価格タイプ,運賃,価格適用期間";
+const WHOLE_HEAD = "搭乗期間開始,搭乗期間終了," + FARE_HEAD;
+function lintIssues(lines, aliasRows){
+  return core.lintFareRows(core.parseCSV(lines.join("\n")), aliasRows || []).issues.map(x => [x.code, x.row, x.message]);
+}
+
+test("lintFareRows: fare-nonpositive", () => {
+  assert.deepEqual(lintIssues([FARE_HEAD, "東京,沖縄,通常,0,2025-07-01〜2025-08-31"]),
+    [["fare-nonpositive", 2, "運賃が0円です"]]);
+});
+
+test("lintFareRows: period-overlap", () => {
+  assert.deepEqual(lintIssues([
+    FARE_HEAD,
+    "東京,沖縄,通常,30000,2025-07-01〜2025-08-15",
+    "東京,沖縄,通常,32000,2025-08-10〜2025-08-31",
+    "東京,沖縄,ピーク,45000,2025-08-10〜2025-08-20",
+  ]), [["period-overlap", 3, "通常 2025-08-10〜2025-08-31 が2行目の 2025-07-01〜2025-08-15 と重なっています"]]);
+});
+
+test("lintFareRows: coverage-gap", () => {
+  assert.deepEqual(lintIssues([
+    WHOLE_HEAD,
+    "2025-07-01,2025-08-31,東京,沖縄,通常,30000,2025-07-01〜2025-07-31",
+    "2025-07-01,2025-08-31,東京,沖縄,通常,32000,2025-08-11〜2025-08-31",
+  ]), [["coverage-gap", 2, "搭乗期間 2025-07-01〜2025-08-31 のうち 2025-08-01〜2025-08-10 に適用運賃がありません"]]);
+});
+
+test("lintFareRows: period-clamped-away", () => {
+  assert.deepEqual(lintIssues([
+    WHOLE_HEAD,
+    "2025-07-01,2025-08-31,東京,沖縄,通常,30000,2025-07-01〜2025-08-31 / 2025-10-01〜2025-10-31",
+  ]), [["period-clamped-away", 2, "価格適用期間「2025-10-01〜2025-10-31」は搭乗期間 2025-07-01〜2025-08-31 の外のため除外されます"]]);
+});
+
+test("lintFareRows: duplicate-range", () => {
+  assert.deepEqual(lintIssues([
+    FARE_HEAD,
+    "東京,沖縄,通常,30000,2025-07-01〜2025-08-31",
+    "東京,沖縄,通常,31000,2025-07-01〜2025-08-31",
+  ]), [["duplicate-range", 3, "通常 2025-07-01〜2025-08-31 は2行目と重複のため無視されます"]]);
+});
+
+test("lintFareRows: unknown-header", () => {
+  assert.deepEqual(lintIssues([FARE_HEAD + ",座席", "東京,沖縄,通常,30000,2025-07-01〜2025-08-31,窓側"]),
+    [["unknown-header", 1, "列「座席」は認識されず無視されます"]]);
+});
+
+test("lintFareRows: place-no-alias (only with an alias sheet)", () => {
+  const lines = [FARE_HEAD, "東京,沖縄,通常,30000,2025-07-01〜2025-08-31"];
+  assert.deepEqual(lintIssues(lines, [{ alias: "羽田", canonical: "東京" }]),
+    [["place-no-alias", "", "地名「沖縄」は place_aliases.csv に登録がありません"]]);
+  assert.deepEqual(lintIssues(lines), []);
+});
+
+test("findFare: dates, peak seasons and reverse-direction fallback", () => {
+  const db = excerptDB();
+  const peak = core.findFare(db, d(2025,8,21), "羽田", "那覇");
+  assert.equal(peak.hit, true);
+  assert.equal(peak.row.fare, 85690);
+  assert.equal(peak.row.priceType, "ピーク");
+
+  const normal = core.findFare(db, d(2025,9,10), "東京", "沖縄");
+  assert.equal(normal.row.fare, 82610);
+
+  const reverse = core.findFare(db, d(2025,8,21), "宮古", "東京");
+  assert.equal(reverse.hit, true);
+  assert.equal(reverse.usedReverse, true);
+  assert.equal(reverse.row.fare, 109010);
+
+  const out = core.findFare(db, d(2027,1,1), "東京", "沖縄");
+  assert.equal(out.hit, false);
+  assert.equal(out.hasAnyRoute, true);
+
+  const none = core.findFare(db, d(2025,8,21), "東京", "ロンドン");
+  assert.equal(none.hit, false);
+  assert.equal(none.hasAnyRoute, false);
+});
+
+test("findRoutes / findPathFare: transfers, reverse-priced hops and topK order", () => {
+  const rows = core.parseCSV([
+    "出発地,到着地,価格タイプ,運賃,価格適用期間",
+    "東京,沖縄,通常,40000,2025-07-01〜2025-08-31",
+    "東京,大阪,通常,15000,2025-07-01〜2025-08-31",
+    "大阪,沖縄,通常,20000,2025-07-01〜2025-08-31",
+    "福岡,東京,通常,18000,2025-07-01〜2025-08-31",
+    "福岡,沖縄,通常,10000,2025-07-01〜2025-08-31",
+    "大阪,福岡,通常,3000,2025-07-01〜2025-08-31",
+  ].join("\n"));
+  const db = core.buildFareDB(rows, "routes.csv", "", []);
+  const label = (r) => `${r.stops.join("→")} ${r.fare}`;
+
+  // 28000 twice: the single connection beats the double one; 東京→福岡 is priced from 福岡→東京
+  const all = core.findRoutes(db, d(2025, 8, 1), "東京", "沖縄");
+  assert.equal(all.searched, 5);
+  assert.deepEqual(all.routes.map(label), [
+    "東京→福岡→沖縄 28000",
+    "東京→大阪→福岡→沖縄 28000",
+    "東京→大阪→沖縄 35000",
+    "東京→沖縄 40000",
+    "東京→福岡→大阪→沖縄 41000",
+  ]);
+  assert.deepEqual(all.best.hops.map(h => !!h.usedReverse), [true, false]);
+
+  assert.deepEqual(core.findRoutes(db, d(2025, 8, 1), "東京", "沖縄", { topK: 2 }).routes.map(label), all.routes.slice(0, 2).map(label));
+  assert.deepEqual(core.findRoutes(db, d(2025, 8, 1), "東京", "沖縄", { maxTransfers: 1 }).routes.map(label),
+    ["東京→福岡→沖縄 28000", "東京→大阪→沖縄 35000", "東京→沖縄 40000"]);
+  assert.deepEqual(core.findRoutes(db, d(2025, 8, 1), "東京", "沖縄", { maxTransfers: 0 }).routes.map(label), ["東京→沖縄 40000"]);
+  assert.equal(core.findRoutes(db, d(2025, 9, 1), "東京", "沖縄").best, null);
+
+  const path = core.findPathFare(db, d(2025, 8, 1), ["東京", "福岡", "沖縄"]);
+  assert.deepEqual([path.hit, path.row.fare, path.usedReverse, path.hops.length], [true, 28000, true, 2]);
+  assert.deepEqual(path.row.hops.map(r => r.fare), [18000, 10000]);
+  assert.equal(core.findPathFare(db, d(2025, 8, 1), ["東京", "沖縄"]).row.fare, 40000);
+
+  const miss = core.findPathFare(db, d(2025, 8, 1), ["東京", "福岡", "ロンドン"]);
+  assert.deepEqual([miss.hit, miss.hasAnyRoute], [false, false]);
+});
+
+test("parseItineraryLines: arrows, via annotation and errors", () => {
+  const { legs, errors } = core.parseItineraryLines([
+    "2025-08-21 東京→沖縄",
+    "2025-08-22 沖縄 -> 宮古",
+    "2025-08-24 宮古〜東京（経由:沖縄）",
+    "東京→沖縄",
+    "2025-08-25 東京",
+  ].join("\n"));
+  assert.deepEqual(legs.map(core.legToLine), [
+    "2025-08-21 東京→沖縄",
+    "2025-08-22 沖縄→宮古",
+    "2025-08-24 宮古→東京（経由:沖縄）",
+  ]);
+  assert.equal(errors.length, 2);
+});
+
+test("escapeHtml: hostile place names from a shared #it= link stay text", () => {
+  const hostile = `2025-08-21 <img/src/onerror=alert(document.domain)//→沖縄（経由:"><svg onload=x>）`;
+  const { legs, errors } = core.parseItineraryLines(hostile);
+  assert.deepEqual(errors, []);
+  assert.equal(legs[0].from, "<img/src/onerror=alert(document.domain)//");
+
+  for (const text of [legs[0].raw, core.routeLabel(core.legStops(legs[0])), legs[0].via.join("・")]){
+    assert.doesNotMatch(core.escapeHtml(text), /[<>"']/);
+  }
+  assert.equal(core.escapeHtml(`<a href='x'>&"`), "&lt;a href=&#39;x&#39;&gt;&amp;&quot;");
+  assert.equal(core.escapeHtml(null), "");
+});
+
+test("parseItineraryLines: Japanese dates, relative days, chains and noise", () => {
+  const { legs, errors } = core.parseItineraryLines([
+    "日付\t出発地\t到着地\t便名",
+    "令和7年8月21日(木) 東京→沖縄→宮古",
+    "翌日 宮古→沖縄",
+    "2025/8/24\t沖縄\t東京\tJL904\t10:15-12:45",
+    "２０２５年８月２５日 10:00発 羽田 → 那覇 NH 91便",
+    "2025-08-26 | 東京 | 沖縄 | 10:15 | JL903",
+    "2025-08-27 東京 → 沖縄 jl903",
+  ].join("\n"));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(legs.map(core.legToLine), [
+    "2025-08-21 東京→沖縄",
+    "2025-08-21 沖縄→宮古",
+    "2025-08-22 宮古→沖縄",
+    "2025-08-24 沖縄→東京",
+    "2025-08-25 羽田→那覇",
+    "2025-08-26 東京→沖縄",
+    "2025-08-27 東京→沖縄",
+  ]);
+  assert.equal(legs[1].raw, "令和7年8月21日(木) 東京→沖縄→宮古");
+});
+
+test("parseItineraryLines: weekday picks the year when none is written", () => {
+  const { legs } = core.parseItineraryLines("8月22日(金) 東京→沖縄");
+  assert.equal(legs[0].date.getDay(), 5);
+  assert.equal(core.ymd(legs[0].date).slice(5), "08-22");
+});
+
+test("inferYear: previous leg, fare coverage, then next occurrence from today", () => {
+  const today = d(2026,12,20);
+  const coverage = { from: d(2025,6,1), to: d(2026,3,31) };
+  const year = (line, opts) => core.parseItineraryLines(line, opts).legs.map(l => core.ymd(l.date));
+
+  assert.deepEqual(year("1/5 東京→沖縄", { today }), ["2027-01-05"]);
+  assert.deepEqual(year("1/5 東京→沖縄", { today, coverage }), ["2026-01-05"]);
+  assert.deepEqual(year("2025-12-28 東京→沖縄\n1/5 沖縄→東京", { today }), ["2025-12-28", "2026-01-05"]);
+
+  const legs = core.parseItineraryLines("12/28 東京→沖縄", { today, coverage }).legs;
+  assert.equal(legs[0].yearInferred, "運賃データの期間内");
+  assert.equal(core.parseItineraryLines("2025-12-28 東京→沖縄").legs[0].yearInferred, undefined);
+
+  const cov = core.fareCoverage(excerptDB());
+  assert.ok(cov.from <= cov.to);
+  assert.equal(core.fareCoverage(core.createEmptyDB()), null);
+});
+
+test("parseItineraryLines: errors name the line and the failing fragment", () => {
+  const { legs, errors } = core.parseItineraryLines([
+    "翌日 東京→沖縄",
+    "2025-08-27(金) 東京→沖縄",
+    "2/30 東京→沖縄",
+    "2025-08-28 東京→",
+    "2025-08-29 宮古→東京→沖縄（経由:那覇）",
+  ].join("\n"));
+  assert.equal(legs.length, 0);
+  assert.deepEqual(errors, [
+    "1行目: 基準になる前の行の日付がありません「翌日」",
+    "2行目: 曜日が日付と一致しません（2025-08-27は水曜日）「2025-08-27(金)」",
+    "3行目: 存在しない日付です「2/30」",
+    "4行目: 到着地が空です「東京→」",
+    "5行目: 経由の注記は出発地→到着地の2地点の行でのみ使えます「（経由:那覇）」",
+  ]);
+});
+
+test("buildFareDBFromLayers: higher priority overrides overlapping periods only", () => {
+  const base = core.parseCSV(readFixture("transport_excerpt.csv"));
+  const campaign = [
+    { "搭乗期間開始": "2025-06-01", "搭乗期間終了": "2025-10-25", "出発地": "東京", "到着地": "沖縄", "価格タイプ": "ピーク", "運賃": "50000", "価格適用期間": "2025-08-20〜2025-08-22" },
+  ];
+  const db = core.buildFareDBFromLayers([
+    { name: "base.csv", rows: base, priority: 0 },
+    { name: "campaign.csv", rows: campaign, priority: 10 },
+  ], []);
+
+  const at = (y, m, day) => core.findFare(db, d(y, m, day), "東京", "沖縄").row;
+  assert.equal(at(2025,8,21).fare, 50000);
+  assert.equal(at(2025,8,21).source, "campaign.csv");
+  assert.equal(at(2025,8,19).fare, 85690);
+  assert.equal(core.ymd(at(2025,8,19).validTo), "2025-08-19");
+  assert.equal(core.ymd(at(2025,8,23).validFrom), "2025-08-23");
+  // other price types and routes of the base layer are untouched
+  assert.equal(at(2025,9,10).source, "base.csv");
+  assert.equal(core.findFare(db, d(2025,8,21), "東京", "宮古").row.source, "base.csv");
+
+  const stats = Object.fromEntries(db.meta.layers.map(l => [l.name, l]));
+  assert.equal(stats["base.csv"].overridden, 1);
+  assert.equal(stats["campaign.csv"].overridden, 0);
+});
+
+test("subtractPeriods: splits around a cut and drops fully covered rows", () => {
+  const row = { validFrom: d(2025,7,1), validTo: d(2025,8,31) };
+  const pieces = core.subtractPeriods(row, [{ validFrom: d(2025,8,1), validTo: d(2025,8,10) }]);
+  assert.deepEqual(pieces.map(p => `${core.ymd(p.validFrom)}..${core.ymd(p.validTo)}`), ["2025-07-01..2025-07-31", "2025-08-11..2025-08-31"]);
+  assert.deepEqual(core.subtractPeriods(row, [{ validFrom: d(2025,6,1), validTo: d(2025,9,30) }]), []);
+});
+
+test("diffFareDBs: fare, period, price-type and route changes", () => {
+  const rows = core.parseCSV(readFixture("transport_excerpt.csv"));
+  const changed = rows.map(r => ({ ...r }));
+  changed[0]["運賃"] = "110000";                              // 東京→宮古 ピーク up
+  changed[2]["価格適用期間"] = "2025-07-01〜2025-08-20";        // 東京→沖縄 ピーク shortened
+  changed[5]["価格タイプ"] = "特別";                            // 沖縄→宮古 通常 renamed
+  changed.push({ ...rows[0], "出発地": "東京", "到着地": "石垣" });
+
+  const before = core.buildFareDB(rows, "old", "", []);
+  const after = core.buildFareDB(changed, "new", "", []);
+  const diff = core.diffFareDBs(before, after);
+  const find = (kind, route) => diff.entries.find(e => e.kind === kind && e.route === route);
+
+  assert.equal(find("fare-up", "東京→宮古").delta, 990);
+  assert.ok(find("period-changed", "東京→沖縄").after.startsWith("2025-07-01〜2025-08-20"));
+  assert.equal(find("type-changed", "沖縄→宮古").priceType, "通常→特別");
+  assert.ok(find("route-added", "東京→石垣"));
+
+  const filtered = core.diffFareDBs(before, after, { from: "羽田", to: "那覇" });
+  assert.deepEqual(Object.keys(filtered.counts), ["period-changed"]);
+
+  const legs = core.parseItineraryLines("2025-07-10 東京→宮古\n2025-08-25 東京→沖縄").legs;
+  const cmp = core.compareItinerary(before, after, legs);
+  assert.equal(cmp[0].delta, 990);
+  assert.equal(cmp[1].after.hit, false);
+  assert.equal(cmp[1].delta, null);
+});
+
+test("fare components: summed into fare, carried through connections and exports", () => {
+  const period = { "価格タイプ": "通常", "価格適用期間": "2025-06-01〜2025-12-31" };
+  const rows = [
+    { "出発地": "東京", "到着地": "沖縄", "運賃": "30000", "燃油特別付加運賃": "0", "空港施設使用料": "290", "消費税": "2,700", ...period },
+    { "出発地": "沖縄", "到着地": "宮古", "運賃": "10000", ...period },
+  ];
+  assert.equal(core.canonicalKey("燃油特別付加運賃"), "fuelSurcharge");
+  const db = core.buildFareDB(rows, "parts", "", []);
+  assert.deepEqual(db.lint.issues.filter(i => i.code === "unknown-header"), []);
+
+  const direct = core.findFare(db, d(2025,8,1), "東京", "沖縄").row;
+  assert.equal(direct.fare, 32990);
+  assert.deepEqual(direct.components, { base: 30000, fuelSurcharge: 0, airportFee: 290, tax: 2700 });
+  assert.equal(core.findFare(db, d(2025,8,1), "沖縄", "宮古").row.components, undefined);
+
+  const legs = core.parseItineraryLines("2025-08-01 東京→沖縄\n2025-08-03 東京→宮古（経由:沖縄）").legs;
+  const t = core.resultsTable(core.searchItinerary(db, legs).results);
+  assert.deepEqual(t.header.slice(8), ["基本運賃", "燃油サーチャージ", "空港施設使用料", "消費税"]);
+  assert.deepEqual(t.parts, { base: 70000, fuelSurcharge: 0, airportFee: 580, tax: 5400 });
+  assert.equal(t.total, 75980);
+  assert.deepEqual(core.exportTotalsRow(t).slice(8), ["70000", "0", "580", "5400"]);
+
+  const plain = core.resultsTable(core.searchItinerary(excerptDB(), legs).results);
+  assert.deepEqual(plain.header, core.EXPORT_HEADER);
+  assert.equal(plain.parts, null);
+});
+
+test("fareCalendar: daily fares, cheapest days, gaps and season bands", () => {
+  const rows = [
+    { "出発地": "東京", "到着地": "沖縄", "運賃": "30000", "価格タイプ": "通常", "価格適用期間": "2025-06-01〜2025-06-19" },
+    { "出発地": "東京", "到着地": "沖縄", "運賃": "45000", "価格タイプ": "ピーク", "価格適用期間": "2025-06-20〜2025-06-25" },
+  ];
+  const db = core.buildFareDB(rows, "cal", "", []);
+  const cal = core.fareCalendar(db, "東京", "沖縄", 2025, 6);
+
+  assert.equal(cal.days.length, 30);
+  assert.equal(cal.minFare, 30000);
+  assert.equal(cal.maxFare, 45000);
+  assert.equal(cal.days.filter(x => x.cheapest).length, 19);
+  assert.equal(cal.days[29].hit, false);
+  assert.deepEqual(cal.bands.map(b => [core.ymd(b.from), core.ymd(b.to), b.priceType, b.fare]), [
+    ["2025-06-01", "2025-06-19", "通常", 30000],
+    ["2025-06-20", "2025-06-25", "ピーク", 45000],
+    ["2025-06-26", "2025-06-30", null, null],
+  ]);
+
+  const back = core.fareCalendar(db, "沖縄", "東京", 2025, 6);
+  assert.ok(back.days[0].usedReverse);
+  assert.equal(core.fareCalendar(db, "東京", "宮古", 2025, 6).hasAnyRoute, false);
+});
+
+test("groupTotals: per-category fares, named travelers and leg assignment", () => {
+  const period = { "価格タイプ": "通常", "価格適用期間": "2025-06-01〜2025-12-31" };
+  const rows = [
+    { "出発地": "東京", "到着地": "沖縄", "運賃": "30000", "小児運賃": "14000", ...period },
+    { "出発地": "沖縄", "到着地": "宮古", "運賃": "10005", ...period },
+  ];
+  const db = core.buildFareDB(rows, "pax", "", []);
+  assert.deepEqual(db.faresRows[0].paxFares, { child: 14000 });
+
+  const { travelers } = core.parseRosterLines("田中\n佐藤 小児");
+  const roster = core.buildRoster({ adult: 2, child: 1 }, travelers);
+  assert.deepEqual(roster.map(p => `${p.name}/${p.type}`), ["田中/adult", "大人2/adult", "佐藤/child"]);
+
+  const { legs } = core.parseItineraryLines([
+    "2025-08-01 東京→沖縄",
+    "2025-08-02 沖縄→宮古（搭乗者:田中・鈴木）",
+    "2025-08-03 東京→宮古（経由:沖縄）（搭乗者:佐藤）",
+  ].join("\n"));
+  assert.deepEqual(legs[2].travelers, ["佐藤"]);
+  assert.equal(core.legToLine(legs[2]), "2025-08-03 東京→宮古（経由:沖縄）（搭乗者:佐藤）");
+
+  const g = core.groupTotals(core.searchItinerary(db, legs).results, roster);
+  assert.deepEqual(g.travelers.map(p => [p.name, p.legs, p.total]), [
+    ["田中", 2, 40005],
+    ["大人2", 1, 30000],
+    ["佐藤", 2, 14000 + 14000 + 5000],
+  ]);
+  assert.deepEqual(g.byType.child, { count: 1, total: 33000 });
+  assert.equal(g.total, 103005);
+  assert.deepEqual(g.unknown, ["鈴木"]);
+
+  const rules = core.normalizePassengerRules({ rates: { child: 0.25, senior: "x" }, unit: 100 });
+  assert.deepEqual(rules.rates, { adult: 1, child: 0.25, senior: 1 });
+  assert.equal(core.paxFare(db.faresRows[1], "child", rules), 2500);
+});
+
+test("applyDiscountRules: round trips, connections, excluded legs and exports", () => {
+  const period = { "価格タイプ": "通常", "価格適用期間": "2025-06-01〜2025-12-31" };
+  const rows = [
+    { "出発地": "東京", "到着地": "沖縄", "運賃": "30000", ...period },
+    { "出発地": "沖縄", "到着地": "宮古", "運賃": "10000", ...period },
+  ];
+  const db = core.buildFareDB(rows, "disc", "", []);
+  const { rules, errors } = core.normalizeDiscountRules({ rules: [
+    { id: "rt", label: "往復割引", type: "roundTrip", rate: 0.1, withinDays: 30 },
+    { id: "cx", label: "乗継割引", type: "connection", amount: 1000 },
+    { id: "bad", type: "family" },
+  ] });
+  assert.deepEqual(rules.map(r => r.id), ["rt", "cx"]);
+  assert.equal(errors.length, 1);
+
+  const { legs } = core.parseItineraryLines([
+    "2025-08-01 東京→沖縄",
+    "2025-08-01 沖縄→宮古",
+    "2025-08-05 宮古→沖縄",
+    "2025-08-06 沖縄→東京",
+    "2025-10-01 東京→沖縄",
+  ].join("\n"));
+  const { results } = core.searchItinerary(db, legs);
+  const d = core.applyDiscountRules(results, rules);
+  assert.deepEqual(d.adjustments.map(a => [a.rule.id, a.legs, a.amount]), [
+    ["rt", [0, 3], 6000],
+    ["rt", [1, 2], 2000],
+  ]);
+  assert.equal(d.byLeg[4], undefined);
+  assert.equal(d.undiscounted, 110000);
+  assert.equal(d.discounted, 102000);
+
+  // Without the return legs the same-day 東京→沖縄→宮古 becomes a connection
+  results[2].leg.excluded = true;
+  results[3].leg.excluded = true;
+  const d2 = core.applyDiscountRules(results, rules);
+  assert.deepEqual(d2.adjustments.map(a => [a.rule.id, a.legs, a.amount, a.reason]), [
+    ["cx", [0, 1], 2000, "東京→沖縄→宮古 乗継（同日）"],
+  ]);
+
+  const roster = core.buildRoster({ adult: 1, child: 1 }, []);
+  assert.equal(core.groupTotals(results, roster, null, d2).total, (30000 - 1000 + 10000 - 1000) + (15000 - 1000 + 5000 - 1000) + 30000 + 15000);
+
+  const t = core.resultsTable(results, { discountRules: rules });
+  assert.deepEqual(core.exportDiscountRows(t).map(r => [r[0], r[4], r[5]]), [
+    ["割引", "乗継割引", "-2000"],
+    ["割引後合計", "", String(t.total - 2000)],
+  ]);
+});
+
+test("routeIndex: indexed lookups pick the same fares as scanning every row", () => {
+  const read = (p) => fs.readFileSync(path.join(__dirname, "..", p), "utf8");
+  const stages = [];
+  const parsed = core.parseFareRowsFromText(read("data/transport.csv"), "transport.csv", { onProgress: p => stages.push(p.stage) });
+  const db = core.buildFareDBFromLayers([{ name: "transport.csv", rows: parsed.rows }], [], { onProgress: p => stages.push(p.stage) });
+  assert.deepEqual(stages, ["parse", "normalize", "index", "lint"]);
+  assert.equal(db.routeIndex.size, db.routeMap.size);
+
+  const scan = { ...db, routeIndex: new Map() };
+  const { from, to } = core.fareCoverage(db);
+  for (const policy of core.FARE_POLICIES){
+    db.policy = scan.policy = policy;
+    for (const key of db.routeMap.keys()){
+      const [a, b] = key.split("||").map(k => db.places.find(p => core.normKey(p) === k));
+      for (let day = core.addDays(from, -1); day <= core.addDays(to, 1); day = core.addDays(day, 1)){
+        const x = core.findFare(db, day, a, b);
+        const y = core.findFare(scan, day, a, b);
+        assert.equal(x.row, y.row, `${key} ${core.ymd(day)} ${policy.id}`);
+        assert.deepEqual(x.candidates, y.candidates);
+      }
+    }
+  }
+
+  const idx = core.buildIntervalIndex(db.routeMap.values().next().value);
+  assert.deepEqual(core.intervalLookup(idx, d(1990, 1, 1)), []);
+  assert.deepEqual(core.intervalLookup(idx, new Date(NaN)), []);
+});
+
+test("workbookSheets: .xlsx sheets become CSV-shaped rows (shared/inline strings, dates, furigana)", { skip: !HAS_DEFLATE_RAW && "DecompressionStream(\"deflate-raw\") needs Node 20.12+" }, async () => {
+  const sheets = await core.workbookSheets(fs.readFileSync(path.join(FIXTURES, "fares.xlsx")));
+  assert.deepEqual(sheets.map(s => s.name), ["運賃", "同義語"]);
+
+  const [fares, aliases] = sheets;
+  assert.ok(core.hasFareShape(fares.rows).ok);
+  assert.ok(core.hasAliasShape(aliases.rows).ok);
+  assert.ok(!core.hasAliasShape(fares.rows).ok);
+  assert.deepEqual(fares.rows.map(r => [r["搭乗期間開始"], r["搭乗期間終了"], r["出発地"], r["価格タイプ"], r["運賃"]]), [
+    ["2025-06-01", "2025-06-30", "東京", "通常", "30000"],
+    ["2025-07-01", "2025-08-31", "東京", "ピーク", "45000"],
+  ]);
+
+  const db = core.buildFareDB(fares.rows, "fares.xlsx", "", aliases.rows);
+  assert.equal(core.findFare(db, d(2025, 7, 10), "東京", "那覇").row.fare, 45000);
+
+  assert.equal(core.xlsxSerialDate(45809), "2025-06-01");
+  assert.equal(core.xlsxSerialDate(59), "1900-02-28");
+  assert.equal(core.xlsxSerialDate(0, true), "1904-01-01");
+  assert.throws(() => core.readZipEntries(new Uint8Array(64)), /ZIP/);
+});
+
+test("decodeText: BOMs, UTF-16, Shift_JIS and EUC-JP are detected", () => {
+  const utf8 = readFixture("transport_excerpt.csv");
+  const sjis = core.decodeText(fs.readFileSync(path.join(FIXTURES, "transport_excerpt_sjis.csv")));
+  assert.equal(sjis.encoding, "Shift_JIS (CP932)");
+  // CP932 maps 〜 to the full-width tilde; period parsing accepts both
+  assert.equal(sjis.text, utf8.replace(/〜/g, "～"));
+  assert.deepEqual(core.buildFareDB(core.parseCSV(sjis.text), "sjis", "", []).faresRows.length,
+    core.buildFareDB(core.parseCSV(utf8), "utf8", "", []).faresRows.length);
+
+  const euc = Buffer.from("bdd0c8afc3cf2cc5fec3e5c3cf0ac5ecb5fe2cb2adc6ec0a", "hex"); // 出発地,到着地 / 東京,沖縄
+  assert.deepEqual(core.decodeText(euc), { text: "出発地,到着地\n東京,沖縄\n", encoding: "EUC-JP" });
+
+  const head = "出発地,到着地,運賃\n";
+  assert.deepEqual(core.decodeText(Buffer.from("\uFEFF" + head)), { text: head, encoding: "UTF-8 (BOM)" });
+  assert.deepEqual(core.decodeText(Buffer.from(head)), { text: head, encoding: "UTF-8" });
+  assert.deepEqual(core.decodeText(Buffer.from("\uFEFF" + head, "utf16le")), { text: head, encoding: "UTF-16LE" });
+  assert.deepEqual(core.decodeText(Buffer.from("from,to,fare\n", "utf16le")), { text: "from,to,fare\n", encoding: "UTF-16LE" });
+});
@@ -0,0 +1,48 @@
+// Golden-file tests: whole itineraries priced against the shipped data/ files.
+// A diff here means a fare changed (data or code). Review it, then refresh with:
+//   UPDATE_GOLDEN=1 node --test test/
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const core = require("../core.js");
+
+const ROOT = path.join(__dirname, "..");
+const FIXTURES = path.join(__dirname, "fixtures");
+const GOLDEN = path.join(__dirname, "golden");
+const UPDATE = process.env.UPDATE_GOLDEN === "1";
+
+function shippedDB(){
+  const read = (p) => fs.readFileSync(path.join(ROOT, p), "utf8");
+  const parsed = core.parseFareRowsFromText(read("data/transport.csv"), "transport.csv");
+  return core.buildFareDB(parsed.rows, "transport.csv", "", core.parseCSV(read("data/place_aliases.csv")));
+}
+
+// Month/day lines take their year from the data coverage and 事前購入 fares are booked on TODAY;
+// "today" is pinned so the snapshot never drifts
+const TODAY = new Date(2025, 5, 1);
+
+function snapshot(db, text){
+  const { legs, errors } = core.parseItineraryLines(text, { coverage: core.fareCoverage(db), today: TODAY });
+  const { results } = core.searchItinerary(db, legs);
+  const table = core.resultsTable(results);
+  return { legs: results.map(core.resultJSON), total: table.total, hits: table.includedCount, errors };
+}
+
+const db = shippedDB();
+db.bookedOn = TODAY;
+const cases = fs.readdirSync(FIXTURES).filter(f => /^itinerary_.*\.txt$/.test(f)).sort();
+
+for (const file of cases){
+  const name = file.replace(/^itinerary_/, "").replace(/\.txt$/, "");
+  test(`golden: ${name}`, () => {
+    const actual = snapshot(db, fs.readFileSync(path.join(FIXTURES, file), "utf8"));
+    const goldenPath = path.join(GOLDEN, `${name}.json`);
+    if (UPDATE || !fs.existsSync(goldenPath)){
+      fs.writeFileSync(goldenPath, JSON.stringify(actual, null, 2) + "\n", "utf8");
+      if (!UPDATE) assert.fail(`golden file was missing and has been written: ${path.relative(ROOT, goldenPath)}`);
+      return;
+    }
+    assert.deepEqual(actual, JSON.parse(fs.readFileSync(goldenPath, "utf8")));
+  });
+}
@@ -0,0 +1,28 @@
+/* Transport Fare Calculator - background parsing / DB build (Web Worker)
+ * Message: { id, op: "parse" | "table" | "build" | "xlsx", args } -> { id, progress } ... then { id, result } or { id, error }
+ * - parse: { text, name } -> parseFareRowsFromText()
+ * - table: { text, name } -> parseTableText(); columns are checked after the mapping step
+ * - build: { layers, aliasRows } -> buildFareDBFromLayers(); Maps, Dates and shared rows survive structured clone
+ * - xlsx: { bytes } -> workbookSheets()
+ */
+importScripts("./core.js?v=12.12");
+
+const OPS = {
+  parse: (args, onProgress) => parseFareRowsFromText(args.text, args.name, { onProgress }),
+  table: (args, onProgress) => parseTableText(args.text, args.name, { onProgress }),
+  build: (args, onProgress) => buildFareDBFromLayers(args.layers, args.aliasRows, { onProgress }),
+  xlsx: (args) => workbookSheets(args.bytes),
+};
+
+self.addEventListener("message", (e) => {
+  const { id, op, args } = e.data || {};
+  Promise.resolve()
+    .then(() => {
+      if (!OPS[op]) throw new Error(`unknown op: ${op}`);
+      return OPS[op](args, (progress) => self.postMessage({ id, progress }));
+    })
+    .then(
+      (result) => self.postMessage({ id, result }),
+      (err) => self.postMessage({ id, error: err?.message || String(err) })
+    );
+});